@@ -0,0 +1,130 @@
+/**
+ * Anime Sauce Finder - AniList client
+ * Loaded before script.js in the browser; also exported for Node so tests/anilist-client.test.js
+ * can run it against a stub fetch with plain `node`.
+ */
+
+/**
+ * Minimal AniList GraphQL client.
+ * Point the endpoint at a mock server, or pass fetchImpl, to work without network access.
+ * getMedia() calls made in the same tick go out as one Page query, and each ID is fetched
+ * once per endpoint; failures are forgotten so the next call retries.
+ */
+class AniListClient {
+    constructor({ endpoint, fetchImpl, batchDelay = 0 } = {}) {
+        this.defaultEndpoint = 'https://graphql.anilist.co';
+        this.endpoint = endpoint || this.defaultEndpoint;
+        this.fetchImpl = fetchImpl || ((url, init) => fetch(url, init));
+        this.batchDelay = batchDelay;
+        this.BATCH_SIZE = 50; // AniList's largest page
+        this.mediaCache = new Map();
+        this.pendingBatch = null;
+    }
+    
+    /**
+     * Switch endpoints; cached media came from the old one, so it is dropped
+     */
+    setEndpoint(endpoint) {
+        const next = endpoint ? endpoint.replace(/\/+$/, '') : this.defaultEndpoint;
+        if (next !== this.endpoint) {
+            this.mediaCache.clear();
+        }
+        this.endpoint = next;
+    }
+    
+    async query(query, variables, signal) {
+        const response = await this.fetchImpl(this.endpoint, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ query, variables }),
+            signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        }
+        
+        const payload = await response.json();
+        if (payload.errors && payload.errors.length > 0) {
+            throw new Error(payload.errors[0].message);
+        }
+        
+        return payload.data;
+    }
+    
+    /**
+     * Fetch the details shown in a result's detail panel
+     */
+    getMedia(id) {
+        const key = Number(id);
+        if (this.mediaCache.has(key)) {
+            return this.mediaCache.get(key);
+        }
+        
+        if (!this.pendingBatch) {
+            this.pendingBatch = new Map();
+            setTimeout(() => this.flushBatch(), this.batchDelay);
+        }
+        
+        const request = new Promise((resolve, reject) => {
+            this.pendingBatch.set(key, { resolve, reject });
+        });
+        
+        // Forget failures so the next call retries
+        request.catch(() => this.mediaCache.delete(key));
+        this.mediaCache.set(key, request);
+        return request;
+    }
+    
+    /**
+     * Send every ID queued since the last flush, BATCH_SIZE per request
+     */
+    async flushBatch() {
+        const batch = this.pendingBatch;
+        this.pendingBatch = null;
+        const ids = Array.from(batch.keys());
+        
+        for (let start = 0; start < ids.length; start += this.BATCH_SIZE) {
+            const chunk = ids.slice(start, start + this.BATCH_SIZE);
+            
+            try {
+                const data = await this.query(`
+                    query ($ids: [Int], $perPage: Int) {
+                        Page(perPage: $perPage) {
+                            media(id_in: $ids, type: ANIME) {
+                                id
+                                title { romaji english native }
+                                synonyms
+                                isAdult
+                                season
+                                seasonYear
+                                format
+                                episodes
+                                coverImage { large medium }
+                                siteUrl
+                            }
+                        }
+                    }
+                `, { ids: chunk, perPage: chunk.length });
+                
+                const found = new Map(((data && data.Page && data.Page.media) || []).map(media => [media.id, media]));
+                chunk.forEach(id => {
+                    if (found.has(id)) {
+                        batch.get(id).resolve(found.get(id));
+                    } else {
+                        batch.get(id).reject(new Error(`AniList has no anime with ID ${id}`));
+                    }
+                });
+            } catch (error) {
+                chunk.forEach(id => batch.get(id).reject(error));
+            }
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AniListClient;
+}
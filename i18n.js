@@ -0,0 +1,1439 @@
+/**
+ * Anime Sauce Finder - UI strings
+ * One catalogue per locale, keyed by dotted message IDs. Values are strings with {name}
+ * placeholders, or { one, other, ... } objects chosen by Intl.PluralRules on the count param.
+ * English is the fallback for any key a locale is missing.
+ */
+
+const I18N_MESSAGES = {
+    en: {
+        'app.title': 'Anime Sauce Finder - AI-Powered Anime Recognition',
+        'app.skipLink': 'Skip to main content',
+        'app.subtitle': 'Discover the source of any anime screenshot instantly with AI',
+        'stats.searchesToday': 'Searches Today',
+        'stats.quotaLeft': 'Quota Left',
+        'stats.priority': 'Priority',
+        'stats.accuracy': 'Accuracy',
+        'quota.used': '{used} of {total} used',
+
+        'upload.inputLabel': 'Upload anime image file',
+        'upload.heading': 'Upload Image',
+        'upload.title': 'Upload Your Anime Image',
+        'upload.description': 'Drag & drop one or more images or a short clip here, paste from clipboard (Ctrl+V), or click to browse',
+        'upload.choose': 'Choose Image',
+        'upload.or': 'or',
+        'upload.urlPlaceholder': 'Paste image URL here... (supports direct links, imgur, etc.)',
+        'upload.urlLabel': 'Image URL input',
+        'upload.pasteTitle': 'Paste from clipboard',
+
+        'options.summary': '⚙️ Advanced options',
+        'options.cutBorders': 'Cut black borders on the server',
+        'options.anilistInfo': 'Include AniList titles and details',
+        'options.anilistId': 'Only search within AniList ID',
+        'options.anilistIdPlaceholder': 'e.g. 21',
+        'options.filtersTitle': 'Result filters',
+        'options.filtersNote': '(apply instantly)',
+        'options.minSimilarity': 'Minimum similarity',
+        'options.maxResults': 'Maximum shows',
+        'options.hideBelowMedium': 'Hide results below "Medium" confidence (60%)',
+
+        'preview.heading': 'Image Preview',
+        'preview.imageAlt': 'Uploaded anime image preview',
+        'preview.crop': 'Crop image',
+        'preview.cropLabel': 'Crop image before searching',
+        'preview.fullscreen': 'View fullscreen',
+        'preview.fullscreenLabel': 'View image in fullscreen',
+        'preview.remove': 'Remove image',
+        'image.unknownSize': 'Unknown size',
+        'image.saved': '(saved {size}, {percent}%)',
+
+        'borderTrim.detected': '✂️ Borders detected ({sides}). Trimmed images usually match better.',
+        'borderTrim.side.top': 'top',
+        'borderTrim.side.bottom': 'bottom',
+        'borderTrim.side.left': 'left',
+        'borderTrim.side.right': 'right',
+        'borderTrim.versionLabel': 'Image version to search',
+        'borderTrim.original': 'Original',
+        'borderTrim.trimmed': 'Trimmed',
+
+        'video.heading': 'Video Frame Picker',
+        'video.captureTitle': 'Use the frame currently shown',
+        'video.capture': 'Add Current Frame',
+        'video.frames': 'Frames',
+        'video.sampleTitle': 'Sample frames evenly across the clip',
+        'video.sample': 'Auto-sample',
+        'video.remove': 'Remove Video',
+        'video.frameList': 'Frames to search',
+        'frames.empty': 'No frames picked yet. Frames will be sampled automatically when you search.',
+        'frames.alt': 'Frame at {seconds}s',
+        'frames.remove': 'Remove frame',
+
+        'batch.title': '📦 Batch Queue',
+        'batch.cancel': 'Cancel',
+        'batch.clear': 'Clear Queue',
+        'batch.searching': '🔍 Searching...',
+        'batch.failed': '⚠️ Search failed',
+        'batch.cancelled': '🛑 Cancelled',
+        'batch.queued': '⏳ Queued',
+        'batch.offline': '📥 Waiting for connection',
+
+        'actions.heading': 'Actions',
+        'actions.search': 'Find Anime Source',
+        'actions.clear': 'Clear All',
+        'actions.historyTitle': 'View search history',
+        'actions.history': 'History',
+        'actions.tip': 'Pro tip: Better quality images yield more accurate results!',
+
+        'loading.label': 'Searching for anime',
+        'loading.analyzing': 'Analyzing your image with AI...',
+        'loading.searching': 'Searching anime database...',
+        'loading.processing': 'Processing visual features...',
+        'loading.matching': 'Matching against thousands of anime...',
+        'loading.almostDone': 'Almost done, hang tight!',
+        'loading.subtext': 'This may take a few seconds',
+
+        'count.frames': { one: '{count} frame', other: '{count} frames' },
+        'count.scenes': { one: '{count} scene', other: '{count} scenes' },
+        'count.episodes': { one: '{count} episode', other: '{count} episodes' },
+
+        'results.title': 'Search Results',
+        'results.showCount': { one: '({count} show)', other: '({count} shows)' },
+        'results.zeroFound': '(0 found)',
+        'results.hiddenAdult': {
+            one: '🔞 {count} adult result hidden by your settings',
+            other: '🔞 {count} adult results hidden by your settings'
+        },
+        'results.belowThreshold': {
+            one: '🔽 {count} result below your similarity filter',
+            other: '🔽 {count} results below your similarity filter'
+        },
+        'results.lowSimilarity': '⚠️ The best match is only {similarity}% similar. trace.moe suggests matches below {threshold}% are usually wrong; try a cleaner, uncropped screenshot.',
+        'results.noMatches': '❌ No matches found',
+
+        'confidence.excellent': '🟢 Excellent',
+        'confidence.high': '🟢 High',
+        'confidence.medium': '🟡 Medium',
+        'confidence.low': '🟡 Low',
+        'confidence.very-low': '🔴 Very Low',
+
+        'result.frames': '🎞️ Matched in {matched} of {frames}',
+        'result.combinedTitle': 'Share of all match evidence pointing at this show',
+        'result.combined': {
+            one: '📊 Combined confidence {confidence}% from {count} match',
+            other: '📊 Combined confidence {confidence}% from {count} matches'
+        },
+        'result.adultReveal': 'Adult content — click to reveal',
+        'result.sceneAlt': 'Scene from {title}',
+        'result.watchClipTitle': 'Watch scene clip',
+        'result.watchClip': '📺 Watch Clip',
+        'result.copyTitle': 'Copy this result for forums and chat',
+        'result.copy': '📋 Copy',
+        'result.shareTitle': 'Share a link to this result',
+        'result.share': '🔗 Share',
+        'result.compareTitle': 'Compare your image with this frame',
+        'result.compare': '🔍 Compare',
+        'result.anilistTitle': 'View on AniList',
+        'result.anilistPage': '📚 AniList Page',
+        'result.details': 'ℹ️ Details',
+        'result.scenes': '🎬 {scenes} in {episodes}',
+        'result.unknownTitle': 'Unknown Title',
+        'result.unknownAnime': 'Unknown Anime',
+        'result.at': 'At {time}',
+
+        'episode.season': 'Season {season}',
+        'episode.single': 'Episode {episode}',
+        'episode.range': 'Episodes {from}–{to}',
+        'episode.list': 'Episodes {list}',
+        'episode.ofTotal': 'Episode {episode} of {total}',
+        'episode.unknown': 'Episode Unknown',
+
+        'details.loading': 'Loading AniList details...',
+        'details.error': "Couldn't reach AniList: {reason}",
+        'details.english': 'English',
+        'details.romaji': 'Romaji',
+        'details.native': 'Native',
+        'details.synonyms': 'Synonyms',
+        'details.season': 'Season',
+        'details.format': 'Format',
+        'details.adult': 'Adult',
+        'details.yes': '🔞 Yes',
+        'details.no': 'No',
+        'details.coverAlt': 'Cover of {title}',
+        'details.seasonYear': '{season} {year}',
+        'season.WINTER': 'Winter',
+        'season.SPRING': 'Spring',
+        'season.SUMMER': 'Summer',
+        'season.FALL': 'Fall',
+        'format.TV': 'TV',
+        'format.TV_SHORT': 'TV Short',
+        'format.MOVIE': 'Movie',
+        'format.SPECIAL': 'Special',
+        'format.OVA': 'OVA',
+        'format.ONA': 'ONA',
+        'format.MUSIC': 'Music',
+
+        'noResults.title': '❌ No Anime Found',
+        'noResults.body': "We couldn't find any matching anime for this image.",
+        'noResults.tipsTitle': '💡 Tips for better results:',
+        'noResults.tip1': 'Use clear, high-quality anime screenshots',
+        'noResults.tip2': 'Avoid heavily edited or filtered images',
+        'noResults.tip3': 'Try different scenes from the same anime',
+        'noResults.tip4': 'Ensure the image is actually from an anime',
+        'noResults.tip5': 'Remove text overlays or watermarks if possible',
+        'noResults.techTitle': '🔧 Technical tips:',
+        'noResults.techTip1': 'Images with 720p+ resolution work best',
+        'noResults.techTip2': 'JPEG and PNG formats are most reliable',
+        'noResults.techTip3': 'Face-focused scenes often yield better results',
+        'noResults.techTip4': 'Try cropping to focus on the main subject (✂️ on the preview)',
+
+        'copy.markdown': 'Markdown',
+        'copy.bbcode': 'BBCode',
+        'copy.plain': 'Plain text',
+        'copy.discord': 'Discord',
+        'copy.unknownTime': 'unknown time',
+        'copy.prompt': 'Copy this:',
+
+        'shared.heading': '🔗 Shared result',
+        'shared.close': 'Start your own search',
+        'shared.loading': 'Loading shared result...',
+        'shared.adultHidden': '🔞 This shared result is adult content and is hidden by your settings.',
+        'shared.similarity': '🎯 {similarity}% similarity when it was found',
+
+        'history.heading': 'Search History',
+        'history.close': 'Close history panel',
+        'history.searchPlaceholder': 'Search titles and inputs',
+        'history.searchLabel': 'Search history',
+        'history.typeLabel': 'Input type',
+        'history.typeAll': 'All inputs',
+        'history.typeFile': '📁 Files',
+        'history.typeUrl': '🔗 URLs',
+        'history.sortLabel': 'Sort history',
+        'history.sortNewest': 'Newest first',
+        'history.sortOldest': 'Oldest first',
+        'history.sortBest': 'Best match first',
+        'history.sortWeakest': 'Weakest match first',
+        'history.from': 'From',
+        'history.to': 'To',
+        'history.hasResults': 'Only searches with results',
+        'history.empty': 'No search history yet. Start by uploading an image!',
+        'history.noFilterMatches': 'No searches match these filters.',
+        'history.loadMore': 'Load more',
+        'history.itemTitle': 'Show these results again',
+        'history.rerunTitle': 'Search this image again',
+        'history.rerun': '🔄 Search again',
+        'history.rerunThumbnailTitle': 'Search the saved {size}px thumbnail; the original image is not kept, so matches may be weaker',
+        'history.rerunThumbnail': '🔄 Search thumbnail',
+        'history.adultHidden': '🔞 Adult title hidden',
+        'history.unknown': 'Unknown',
+        'history.exportJsonTitle': 'Everything, including thumbnails and full results',
+        'history.exportCsvTitle': 'Top result of each search, for spreadsheets',
+        'history.importTitle': 'Merge a JSON export into this history',
+        'history.import': '📥 Import',
+        'history.clear': 'Clear History',
+
+        'import.notJson': 'The file is not valid JSON. Only JSON exports can be imported.',
+        'import.notExport': 'This is not a MrSauce history export.',
+        'import.newerVersion': 'This export was made by a newer version of MrSauce.',
+        'import.noEntries': 'The export has no list of entries.',
+        'import.invalidEntry': 'Entry {index} is invalid ({reason}).',
+
+        'compare.close': 'Close fullscreen view',
+        'compare.imageAlt': 'Fullscreen anime image',
+        'compare.modeLabel': 'Comparison mode',
+        'compare.side': 'Side by side',
+        'compare.overlay': 'Overlay',
+        'compare.swipe': 'Swipe',
+        'compare.difference': 'Difference',
+        'compare.canvasLabel': 'Your image compared with the matched frame',
+        'compare.caption': 'Your image vs {title} {episode} ({similarity}%)',
+        'compare.opacity': 'Match opacity',
+        'compare.divider': 'Divider position',
+
+        'clip.close': 'Close clip player',
+        'clip.prevFrame': 'Previous frame',
+        'clip.prevFrameTitle': 'Previous frame (,)',
+        'clip.nextFrame': 'Next frame',
+        'clip.nextFrameTitle': 'Next frame (.)',
+        'clip.play': 'Play clip',
+        'clip.pause': 'Pause clip',
+        'clip.playTitle': 'Play (Space)',
+        'clip.pauseTitle': 'Pause (Space)',
+        'clip.mute': 'Mute',
+        'clip.muteTitle': 'Mute (M)',
+        'clip.unmuteTitle': 'Unmute (M)',
+        'clip.loop': 'Loop',
+        'clip.speed': 'Speed',
+
+        'crop.hint': 'Drag to select the area to search',
+        'crop.cancel': 'Cancel',
+        'crop.apply': '✂️ Apply Crop',
+
+        'footer.poweredBy': 'Powered by <a href="https://trace.moe" target="_blank" rel="noopener noreferrer">trace.moe</a> API',
+        'footer.badge': 'Free & Open Source',
+        'footer.tech': 'Built with modern web technologies • <a href="https://anilist.co" target="_blank" rel="noopener noreferrer">AniList</a> database • Hosted on <a href="https://www.netlify.com" target="_blank" rel="noopener noreferrer">Netlify</a>',
+        'footer.about': 'About',
+        'footer.help': 'Help',
+        'footer.settings': 'Settings',
+        'footer.source': 'Source Code',
+
+        'help.title': 'How to Use Anime Sauce Finder',
+        'help.close': 'Close help',
+        'help.formatsTitle': '🖼️ Supported Image Formats',
+        'help.formats': 'JPG, PNG, GIF, WebP, BMP (up to 10MB)',
+        'help.video': 'MP4 and WebM clips: pick frames while scrubbing or let the app sample them for you',
+        'help.uploadTitle': '📤 How to Upload',
+        'help.upload1': 'Click "Choose Image" to browse files',
+        'help.upload2': 'Drag and drop an image directly',
+        'help.upload3': 'Select or drop several images to search them as a batch',
+        'help.upload4': 'Paste from clipboard (Ctrl+V)',
+        'help.upload5': 'Enter an image URL',
+        'help.tipsTitle': '🎯 Tips for Better Results',
+        'help.tip1': 'Use clear, unedited anime screenshots',
+        'help.tip2': 'Avoid images with heavy text overlays',
+        'help.tip3': 'Higher resolution images work better',
+        'help.tip4': 'Avoid highly cropped or zoomed images',
+        'help.featuresTitle': '⚡ Features',
+        'help.feature1': 'AI-powered anime recognition',
+        'help.feature2': 'Episode and timestamp detection',
+        'help.feature3': 'Similarity percentage scoring',
+        'help.feature4': 'Video preview clips',
+        'help.feature5': 'Search history tracking',
+
+        'about.title': 'About Anime Sauce Finder',
+        'about.close': 'Close about',
+        'about.intro': 'Anime Sauce Finder is a free, open-source tool that helps you identify anime from screenshots using advanced AI technology.',
+        'about.stackTitle': '🔧 Technology Stack',
+        'about.frontend': '<strong>Frontend:</strong> Vanilla JavaScript, CSS3, HTML5',
+        'about.engine': '<strong>AI Engine:</strong> trace.moe API',
+        'about.database': '<strong>Database:</strong> AniList anime database',
+        'about.hosting': '<strong>Hosting:</strong> Replit Cloud Platform',
+        'about.statsTitle': '📊 Statistics',
+        'about.stat1': 'Over 99% accuracy rate',
+        'about.stat2': 'Supports 20,000+ anime titles',
+        'about.stat3': 'Processes millions of searches monthly',
+        'about.stat4': 'Average response time: &lt;3 seconds',
+        'about.creditsTitle': '🙏 Credits',
+        'about.creditTraceMoe': '<a href="https://trace.moe" target="_blank" rel="noopener">trace.moe</a> - AI recognition engine',
+        'about.creditAnilist': '<a href="https://anilist.co" target="_blank" rel="noopener">AniList</a> - Anime database',
+        'about.creditReplit': '<a href="https://replit.com" target="_blank" rel="noopener">Replit</a> - Hosting platform',
+        'about.creditFonts': 'Google Fonts - Typography',
+
+        'settings.title': 'Settings',
+        'settings.close': 'Close settings',
+        'settings.languageTitle': '🌐 Language',
+        'settings.languageLabel': 'Interface language',
+        'settings.languageAuto': 'Automatic (browser language)',
+        'settings.apiTitle': '🔌 API Endpoint',
+        'settings.apiBaseUrl': 'trace.moe base URL',
+        'settings.test': 'Test',
+        'settings.apiBaseUrlHelp': 'Leave empty to use the public API. Point it at a self-hosted trace.moe instance or a local mock server (e.g. http://localhost:3000) for offline testing.',
+        'settings.apiKey': 'API key',
+        'settings.apiKeyPlaceholder': 'Optional',
+        'settings.apiKeyHelp': 'Sent as <code>x-trace-key</code> with every request. Raises your quota and concurrency limits. Stored only in this browser.',
+        'settings.anilistEndpoint': 'AniList GraphQL endpoint',
+        'settings.anilistEndpointHelp': 'Used for the result details panel. Point it at a mock server to work offline.',
+        'settings.adultTitle': '🔞 Adult Content',
+        'settings.adultLabel': 'Results marked adult on AniList',
+        'settings.adultShow': 'Show normally',
+        'settings.adultBlur': 'Blur thumbnails until clicked',
+        'settings.adultHide': 'Hide completely',
+        'settings.adultHelp': 'Applies to search results, search history and shared links.',
+        'settings.copyTitle': '📋 Copy Templates',
+        'settings.copyHelp': 'Placeholders: {title}, {episode}, {timestamp}, {similarity}, {anilistUrl}, {shareLink}. Clear a template to restore its default.',
+        'settings.sharingTitle': '📲 Sharing',
+        'settings.autoSearchShared': 'Search automatically when an image is shared to MrSauce',
+        'settings.sharingHelp': "Install MrSauce from your browser menu to see it in your phone's share sheet.",
+        'settings.reset': 'Reset to Defaults',
+        'settings.save': 'Save Settings',
+        'settings.invalidApiUrl': '❌ Enter a full http:// or https:// URL, or leave it empty.',
+        'settings.invalidAnilistUrl': '❌ The AniList endpoint must be a full http:// or https:// URL, or empty.',
+        'settings.contacting': '⏳ Contacting {url}...',
+        'settings.connected': '✅ Connected to {url} in {ms}ms{quota}',
+        'settings.quotaNote': {
+            one: ' • {count} search left, priority {priority}',
+            other: ' • {count} searches left, priority {priority}'
+        },
+        'settings.noResponse': 'No response after 8 seconds',
+
+        'confirm.leave': 'A search is currently in progress. Are you sure you want to leave?',
+        'confirm.removeImage': 'A search is in progress. Are you sure you want to remove this image?',
+        'confirm.clearAll': 'A search is in progress. Are you sure you want to clear everything?',
+        'confirm.clearHistory': 'Are you sure you want to clear all search history?',
+
+        'offline.waiting': {
+            one: '🔄 {count} queued search waiting to run',
+            other: '🔄 {count} queued searches waiting to run'
+        },
+        'offline.queued': {
+            one: '📥 {count} search queued. It will run when you are back online.',
+            other: '📥 {count} searches queued. They will run when you are back online.'
+        },
+        'notify.title': 'Sauce search finished: {name}',
+
+        'status.ready': '🚀 Ready to find anime sources! Upload an image to get started.',
+        'status.initFailed': '⚠️ App initialization failed. Please refresh the page.',
+        'status.videoRemoved': '🗑️ Video removed. Upload another file to search.',
+        'status.clipFailed': '❌ Could not load this clip. It may have expired; search again for a fresh link.',
+        'status.online': '🌐 Connection restored!',
+        'status.offline': '⚠️ No internet connection. Searches will be queued until you are back online.',
+        'status.cannotQueue': '⚠️ You are offline and this browser cannot queue searches. Try again once connected.',
+        'status.searchQueued': '📥 You are offline. Search queued and will run when the connection is back.',
+        'status.runningQueue': {
+            one: '🔄 Running {count} queued search...',
+            other: '🔄 Running {count} queued searches...'
+        },
+        'status.queuedFailed': '⚠️ Queued search for {name} failed: {reason}',
+        'status.shareEmpty': '❌ Nothing that can be searched was shared. Share an image or an image link.',
+        'status.shareReceived': '📲 Shared image received! Press search to find the source.',
+        'status.deepLinkInvalid': '❌ The link contains an image URL that is not valid',
+        'status.linkCopied': '🔗 Link copied to clipboard',
+        'status.copiedAs': '📋 Copied as {format}',
+        'status.sharedLinkBroken': '❌ This shared link is incomplete or broken',
+        'status.clipboardUnsupported': 'Clipboard access not supported in this browser',
+        'status.urlPasted': 'URL pasted from clipboard!',
+        'status.clipboardNoUrl': 'Clipboard does not contain a valid URL',
+        'status.clipboardFailed': 'Failed to read from clipboard',
+        'status.fileLoaded': '✅ File loaded: {name}',
+        'status.fileDropped': '✅ File dropped: {name}',
+        'status.imagePasted': '✅ Image pasted from clipboard!',
+        'status.unsupportedType': '❌ Unsupported file type: {type}. Please use JPG, PNG, GIF, WebP, BMP, or AVIF.',
+        'status.fileTooLarge': '❌ File too large: {size}. Maximum allowed: {max}',
+        'status.lowQuality': '⚠️ Low quality image detected. Results may be less accurate.',
+        'status.imageRemoved': '🗑️ Image removed. Upload another image to search.',
+        'status.cleared': '✨ Everything cleared! Ready for a new search.',
+        'status.noInput': '❌ Please upload an image or provide an image URL',
+        'status.invalidUrl': '❌ Please provide a valid image URL',
+        'status.found': {
+            one: '🎉 Found {count} match in {time}ms!',
+            other: '🎉 Found {count} matches in {time}ms!'
+        },
+        'status.foundInFrames': {
+            one: '🎉 Found {count} match across {frames} in {time}ms!',
+            other: '🎉 Found {count} matches across {frames} in {time}ms!'
+        },
+        'status.noSupportedFiles': '❌ None of the selected files are supported images.',
+        'status.batchQueued': {
+            one: '📦 {count} image queued for batch search{skipped}',
+            other: '📦 {count} images queued for batch search{skipped}'
+        },
+        'status.batchSkipped': {
+            one: ' ({count} unsupported file skipped)',
+            other: ' ({count} unsupported files skipped)'
+        },
+        'status.batchFinished': {
+            one: '🎉 Batch finished: {found} of {count} image matched in {seconds}s',
+            other: '🎉 Batch finished: {found} of {count} images matched in {seconds}s'
+        },
+        'status.batchOffline': {
+            one: '📥 You are offline. {count} batch image will be searched when the connection is back.',
+            other: '📥 You are offline. {count} batch images will be searched when the connection is back.'
+        },
+        'status.videoTooLarge': '❌ Video too large: {size}. Maximum allowed: {max}',
+        'status.videoLoaded': '🎬 Video loaded: {name}. Pick frames or search to sample automatically.',
+        'status.maxFrames': '⚠️ You can pick up to {count} frames per search.',
+        'status.videoDuration': '❌ Could not read the video duration',
+        'status.sampled': '🎞️ Sampled {frames} from the video',
+        'status.cancelled': '🛑 Search cancelled',
+        'status.noMatches': '❌ No anime matches found. Try the tips above for better results.',
+        'status.noSavedImage': '❌ This entry has no saved image. Only searches made since history thumbnails were added can be restored.',
+        'status.historyRestored': '📂 Restored search from {time}',
+        'status.urlRestored': '📂 URL restored. Search again to see its results.',
+        'status.nothingToExport': '📭 No search history to export yet',
+        'status.exported': {
+            one: '📤 Exported {count} search as {format}',
+            other: '📤 Exported {count} searches as {format}'
+        },
+        'status.importNeedsDb': '❌ History import needs IndexedDB, which this browser has disabled',
+        'status.importFailed': '❌ Import failed: {reason}',
+        'status.imported': {
+            one: '📥 Imported {count} search{skipped}',
+            other: '📥 Imported {count} searches{skipped}'
+        },
+        'status.importSkipped': {
+            one: ', skipped {count} already in history',
+            other: ', skipped {count} already in history'
+        },
+        'status.importDuplicates': {
+            one: ', skipped {count} repeated in the file',
+            other: ', skipped {count} repeated in the file'
+        },
+        'status.importEvicted': {
+            one: ', removed the oldest search to make room',
+            other: ', removed the {count} oldest searches to make room'
+        },
+        'status.historyEvicted': {
+            one: '⚠️ Storage is full, so the oldest search was removed from history',
+            other: '⚠️ Storage is full, so the {count} oldest searches were removed from history'
+        },
+        'status.historyCleared': '🗑️ Search history cleared',
+        'status.compareNeedsImage': '❌ Load your image again to compare it with this match',
+        'status.compareFailed': '❌ Could not load the matched frame for comparison',
+        'status.cropNeedsImage': '❌ Load an image before cropping',
+        'status.cropSelectFirst': '✂️ Drag over the image to select an area first',
+        'status.cropFailed': '❌ Could not crop this image',
+        'status.cropped': '✂️ Cropped to {width}×{height}',
+        'status.settingsSaved': '⚙️ Settings saved',
+        'status.settingsReset': '⚙️ Settings reset to defaults',
+
+        'error.context.init': 'Failed to initialize application',
+        'error.context.queue': 'Failed to queue search',
+        'error.context.shared': 'Failed to load shared image',
+        'error.context.fileSelection': 'Failed to handle file selection',
+        'error.context.loadImage': 'Failed to load image',
+        'error.context.search': 'Search failed',
+        'error.context.loadVideo': 'Failed to load video',
+        'error.context.captureFrame': 'Failed to capture frame',
+        'error.context.sampleFrames': 'Failed to sample frames',
+        'error.context.export': 'Export failed',
+        'error.context.import': 'Import failed',
+        'error.context.unexpected': 'Unexpected error occurred',
+        'error.context.script': 'JavaScript error',
+        'error.cancelled': 'Search was cancelled',
+        'error.network': '🌐 Network error. Please check your internet connection and try again.',
+        'error.quota': '🪫 Search quota used up. Add an API key in Settings or wait for the quota to reset.',
+        'error.apiKey': '🔑 The API key was rejected. Check it in Settings.',
+        'error.rateLimit': '⏳ Too many requests. Please wait a moment and try again.',
+        'error.server': '🛠️ Server error. The service might be temporarily unavailable.',
+        'error.badRequest': '❌ Invalid request. Please check your image and try again.',
+        'error.tooLarge': '📏 Image too large. Please use a smaller image.',
+        'error.generic': '🔧 Something went wrong. Please try again with a different image.',
+        'error.fallbackTitle': '⚠️ Initialization Error',
+        'error.fallbackBody': 'Failed to load Anime Sauce Finder. Please refresh the page and try again.',
+        'error.fallbackReload': 'Refresh Page'
+    },
+
+    ja: {
+        'app.title': 'Anime Sauce Finder - AIによるアニメ認識',
+        'app.skipLink': 'メインコンテンツへスキップ',
+        'app.subtitle': 'アニメのスクリーンショットの出典をAIですぐに見つけます',
+        'stats.searchesToday': '今日の検索',
+        'stats.quotaLeft': '残りクォータ',
+        'stats.priority': '優先度',
+        'stats.accuracy': '精度',
+        'quota.used': '{total}件中{used}件使用済み',
+
+        'upload.inputLabel': 'アニメ画像ファイルをアップロード',
+        'upload.heading': '画像をアップロード',
+        'upload.title': 'アニメ画像をアップロード',
+        'upload.description': '画像(複数可)や短い動画をここにドラッグ&ドロップ、クリップボードから貼り付け(Ctrl+V)、またはクリックして選択',
+        'upload.choose': '画像を選択',
+        'upload.or': 'または',
+        'upload.urlPlaceholder': '画像のURLを貼り付け...(直接リンク、imgurなどに対応)',
+        'upload.urlLabel': '画像URLの入力',
+        'upload.pasteTitle': 'クリップボードから貼り付け',
+
+        'options.summary': '⚙️ 詳細オプション',
+        'options.cutBorders': 'サーバー側で黒枠をカット',
+        'options.anilistInfo': 'AniListのタイトルと詳細を含める',
+        'options.anilistId': '指定したAniList ID内のみ検索',
+        'options.anilistIdPlaceholder': '例: 21',
+        'options.filtersTitle': '結果フィルター',
+        'options.filtersNote': '(すぐに反映)',
+        'options.minSimilarity': '最低類似度',
+        'options.maxResults': '最大作品数',
+        'options.hideBelowMedium': '信頼度「中」(60%)未満の結果を隠す',
+
+        'preview.heading': '画像プレビュー',
+        'preview.imageAlt': 'アップロードしたアニメ画像のプレビュー',
+        'preview.crop': '画像を切り抜く',
+        'preview.cropLabel': '検索前に画像を切り抜く',
+        'preview.fullscreen': '全画面で表示',
+        'preview.fullscreenLabel': '画像を全画面で表示',
+        'preview.remove': '画像を削除',
+        'image.unknownSize': 'サイズ不明',
+        'image.saved': '({size}、{percent}%削減)',
+
+        'borderTrim.detected': '✂️ 枠を検出しました({sides})。切り抜いた画像の方が一致しやすくなります。',
+        'borderTrim.side.top': '上',
+        'borderTrim.side.bottom': '下',
+        'borderTrim.side.left': '左',
+        'borderTrim.side.right': '右',
+        'borderTrim.versionLabel': '検索する画像',
+        'borderTrim.original': '元画像',
+        'borderTrim.trimmed': '切り抜き後',
+
+        'video.heading': '動画フレームの選択',
+        'video.captureTitle': '表示中のフレームを使う',
+        'video.capture': '現在のフレームを追加',
+        'video.frames': 'フレーム数',
+        'video.sampleTitle': '動画全体から均等にフレームを抽出',
+        'video.sample': '自動抽出',
+        'video.remove': '動画を削除',
+        'video.frameList': '検索するフレーム',
+        'frames.empty': 'フレームはまだ選ばれていません。検索時に自動で抽出されます。',
+        'frames.alt': '{seconds}秒のフレーム',
+        'frames.remove': 'フレームを削除',
+
+        'batch.title': '📦 一括検索キュー',
+        'batch.cancel': 'キャンセル',
+        'batch.clear': 'キューを消去',
+        'batch.searching': '🔍 検索中...',
+        'batch.failed': '⚠️ 検索に失敗しました',
+        'batch.cancelled': '🛑 キャンセルされました',
+        'batch.queued': '⏳ 待機中',
+        'batch.offline': '📥 接続待ち',
+
+        'actions.heading': '操作',
+        'actions.search': 'アニメの出典を検索',
+        'actions.clear': 'すべて消去',
+        'actions.historyTitle': '検索履歴を見る',
+        'actions.history': '履歴',
+        'actions.tip': 'ヒント: 画質の良い画像ほど正確な結果が得られます!',
+
+        'loading.label': 'アニメを検索中',
+        'loading.analyzing': 'AIで画像を解析中...',
+        'loading.searching': 'アニメデータベースを検索中...',
+        'loading.processing': '画像の特徴を処理中...',
+        'loading.matching': '数千のアニメと照合中...',
+        'loading.almostDone': 'もうすぐ終わります!',
+        'loading.subtext': '数秒かかる場合があります',
+
+        'count.frames': { other: '{count}フレーム' },
+        'count.scenes': { other: '{count}シーン' },
+        'count.episodes': { other: '{count}話' },
+
+        'results.title': '検索結果',
+        'results.showCount': { other: '({count}作品)' },
+        'results.zeroFound': '(0件)',
+        'results.hiddenAdult': { other: '🔞 成人向けの結果{count}件を設定により非表示にしています' },
+        'results.belowThreshold': { other: '🔽 {count}件の結果が類似度フィルター未満です' },
+        'results.lowSimilarity': '⚠️ 最も近い結果でも類似度は{similarity}%です。trace.moeによると{threshold}%未満の結果はほとんどが誤りです。枠や加工のないスクリーンショットで試してください。',
+        'results.noMatches': '❌ 一致する結果はありません',
+
+        'confidence.excellent': '🟢 非常に高い',
+        'confidence.high': '🟢 高',
+        'confidence.medium': '🟡 中',
+        'confidence.low': '🟡 低',
+        'confidence.very-low': '🔴 非常に低い',
+
+        'result.frames': '🎞️ {frames}中{matched}フレームで一致',
+        'result.combinedTitle': 'この作品を指す一致の割合',
+        'result.combined': { other: '📊 {count}件の一致による総合信頼度 {confidence}%' },
+        'result.adultReveal': '成人向けコンテンツ — クリックで表示',
+        'result.sceneAlt': '{title}のシーン',
+        'result.watchClipTitle': 'シーンのクリップを見る',
+        'result.watchClip': '📺 クリップを見る',
+        'result.copyTitle': 'フォーラムやチャット用にこの結果をコピー',
+        'result.copy': '📋 コピー',
+        'result.shareTitle': 'この結果へのリンクを共有',
+        'result.share': '🔗 共有',
+        'result.compareTitle': 'このフレームと画像を比較',
+        'result.compare': '🔍 比較',
+        'result.anilistTitle': 'AniListで見る',
+        'result.anilistPage': '📚 AniListページ',
+        'result.details': 'ℹ️ 詳細',
+        'result.scenes': '🎬 {episodes}で{scenes}',
+        'result.unknownTitle': '不明なタイトル',
+        'result.unknownAnime': '不明なアニメ',
+        'result.at': '{time}',
+
+        'episode.season': '第{season}期',
+        'episode.single': '第{episode}話',
+        'episode.range': '第{from}–{to}話',
+        'episode.list': '第{list}話',
+        'episode.ofTotal': '第{episode}話(全{total}話)',
+        'episode.unknown': '話数不明',
+
+        'details.loading': 'AniListの詳細を読み込み中...',
+        'details.error': 'AniListに接続できませんでした: {reason}',
+        'details.english': '英語',
+        'details.romaji': 'ローマ字',
+        'details.native': '原題',
+        'details.synonyms': '別名',
+        'details.season': '放送時期',
+        'details.format': '形式',
+        'details.adult': '成人向け',
+        'details.yes': '🔞 はい',
+        'details.no': 'いいえ',
+        'details.coverAlt': '{title}のカバー画像',
+        'details.seasonYear': '{year}年{season}',
+        'season.WINTER': '冬',
+        'season.SPRING': '春',
+        'season.SUMMER': '夏',
+        'season.FALL': '秋',
+        'format.TV': 'TV',
+        'format.TV_SHORT': 'TV(ショート)',
+        'format.MOVIE': '映画',
+        'format.SPECIAL': 'スペシャル',
+        'format.OVA': 'OVA',
+        'format.ONA': 'ONA',
+        'format.MUSIC': 'ミュージック',
+
+        'noResults.title': '❌ アニメが見つかりませんでした',
+        'noResults.body': 'この画像に一致するアニメは見つかりませんでした。',
+        'noResults.tipsTitle': '💡 より良い結果を得るコツ:',
+        'noResults.tip1': '鮮明で高画質なアニメのスクリーンショットを使う',
+        'noResults.tip2': '大きく編集・加工された画像は避ける',
+        'noResults.tip3': '同じアニメの別のシーンを試す',
+        'noResults.tip4': '画像が本当にアニメのものか確認する',
+        'noResults.tip5': '可能なら文字やウォーターマークを取り除く',
+        'noResults.techTitle': '🔧 技術的なコツ:',
+        'noResults.techTip1': '720p以上の解像度の画像が最適です',
+        'noResults.techTip2': 'JPEGとPNG形式が最も確実です',
+        'noResults.techTip3': '顔が中心のシーンは結果が良いことが多いです',
+        'noResults.techTip4': '主な被写体に合わせて切り抜いてみる(プレビューの✂️)',
+
+        'copy.markdown': 'Markdown',
+        'copy.bbcode': 'BBCode',
+        'copy.plain': 'プレーンテキスト',
+        'copy.discord': 'Discord',
+        'copy.unknownTime': '時刻不明',
+        'copy.prompt': 'これをコピーしてください:',
+
+        'shared.heading': '🔗 共有された結果',
+        'shared.close': '自分で検索する',
+        'shared.loading': '共有された結果を読み込み中...',
+        'shared.adultHidden': '🔞 この共有された結果は成人向けコンテンツのため、設定により非表示です。',
+        'shared.similarity': '🎯 見つかった時の類似度は{similarity}%',
+
+        'history.heading': '検索履歴',
+        'history.close': '履歴パネルを閉じる',
+        'history.searchPlaceholder': 'タイトルや入力を検索',
+        'history.searchLabel': '履歴を検索',
+        'history.typeLabel': '入力の種類',
+        'history.typeAll': 'すべての入力',
+        'history.typeFile': '📁 ファイル',
+        'history.typeUrl': '🔗 URL',
+        'history.sortLabel': '履歴の並べ替え',
+        'history.sortNewest': '新しい順',
+        'history.sortOldest': '古い順',
+        'history.sortBest': '一致度の高い順',
+        'history.sortWeakest': '一致度の低い順',
+        'history.from': '開始',
+        'history.to': '終了',
+        'history.hasResults': '結果のある検索のみ',
+        'history.empty': '検索履歴はまだありません。画像をアップロードして始めましょう!',
+        'history.noFilterMatches': 'このフィルターに一致する検索はありません。',
+        'history.loadMore': 'さらに読み込む',
+        'history.itemTitle': 'この結果をもう一度表示',
+        'history.rerunTitle': 'この画像で再検索',
+        'history.rerun': '🔄 再検索',
+        'history.rerunThumbnailTitle': '保存された{size}pxのサムネイルで検索します。元の画像は保存されていないため、一致度が下がることがあります',
+        'history.rerunThumbnail': '🔄 サムネイルで検索',
+        'history.adultHidden': '🔞 成人向けタイトルを非表示',
+        'history.unknown': '不明',
+        'history.exportJsonTitle': 'サムネイルと全結果を含むすべてのデータ',
+        'history.exportCsvTitle': '各検索の最上位の結果(表計算ソフト用)',
+        'history.importTitle': 'JSONエクスポートをこの履歴に統合',
+        'history.import': '📥 インポート',
+        'history.clear': '履歴を消去',
+
+        'import.notJson': '有効なJSONファイルではありません。インポートできるのはJSONエクスポートのみです。',
+        'import.notExport': 'MrSauceの履歴エクスポートではありません。',
+        'import.newerVersion': 'このエクスポートは新しいバージョンのMrSauceで作成されています。',
+        'import.noEntries': 'エクスポートにエントリの一覧がありません。',
+        'import.invalidEntry': '{index}件目のエントリが無効です({reason})。',
+
+        'compare.close': '全画面表示を閉じる',
+        'compare.imageAlt': '全画面のアニメ画像',
+        'compare.modeLabel': '比較モード',
+        'compare.side': '横に並べる',
+        'compare.overlay': '重ねる',
+        'compare.swipe': 'スワイプ',
+        'compare.difference': '差分',
+        'compare.canvasLabel': 'あなたの画像と一致したフレームの比較',
+        'compare.caption': 'あなたの画像 vs {title} {episode}({similarity}%)',
+        'compare.opacity': '一致画像の不透明度',
+        'compare.divider': '境界線の位置',
+
+        'clip.close': 'クリッププレーヤーを閉じる',
+        'clip.prevFrame': '前のフレーム',
+        'clip.prevFrameTitle': '前のフレーム (,)',
+        'clip.nextFrame': '次のフレーム',
+        'clip.nextFrameTitle': '次のフレーム (.)',
+        'clip.play': 'クリップを再生',
+        'clip.pause': 'クリップを一時停止',
+        'clip.playTitle': '再生 (Space)',
+        'clip.pauseTitle': '一時停止 (Space)',
+        'clip.mute': 'ミュート',
+        'clip.muteTitle': 'ミュート (M)',
+        'clip.unmuteTitle': 'ミュート解除 (M)',
+        'clip.loop': 'ループ',
+        'clip.speed': '速度',
+
+        'crop.hint': 'ドラッグして検索する範囲を選択',
+        'crop.cancel': 'キャンセル',
+        'crop.apply': '✂️ 切り抜きを適用',
+
+        'footer.poweredBy': '<a href="https://trace.moe" target="_blank" rel="noopener noreferrer">trace.moe</a> APIを利用',
+        'footer.badge': '無料・オープンソース',
+        'footer.tech': 'モダンなWeb技術で構築 • <a href="https://anilist.co" target="_blank" rel="noopener noreferrer">AniList</a>データベース • <a href="https://www.netlify.com" target="_blank" rel="noopener noreferrer">Netlify</a>でホスト',
+        'footer.about': '概要',
+        'footer.help': 'ヘルプ',
+        'footer.settings': '設定',
+        'footer.source': 'ソースコード',
+
+        'help.title': 'Anime Sauce Finderの使い方',
+        'help.close': 'ヘルプを閉じる',
+        'help.formatsTitle': '🖼️ 対応している画像形式',
+        'help.formats': 'JPG、PNG、GIF、WebP、BMP(最大10MB)',
+        'help.video': 'MP4・WebM動画: 再生位置を動かしながらフレームを選ぶか、アプリに自動で抽出させます',
+        'help.uploadTitle': '📤 アップロード方法',
+        'help.upload1': '「画像を選択」をクリックしてファイルを選ぶ',
+        'help.upload2': '画像を直接ドラッグ&ドロップする',
+        'help.upload3': '複数の画像を選択またはドロップして一括検索する',
+        'help.upload4': 'クリップボードから貼り付ける(Ctrl+V)',
+        'help.upload5': '画像のURLを入力する',
+        'help.tipsTitle': '🎯 より良い結果を得るコツ',
+        'help.tip1': '鮮明で未編集のアニメのスクリーンショットを使う',
+        'help.tip2': '文字が大きく重なった画像は避ける',
+        'help.tip3': '解像度の高い画像ほど良い結果になります',
+        'help.tip4': '大きく切り抜いたり拡大した画像は避ける',
+        'help.featuresTitle': '⚡ 機能',
+        'help.feature1': 'AIによるアニメ認識',
+        'help.feature2': '話数とタイムスタンプの検出',
+        'help.feature3': '類似度のパーセント表示',
+        'help.feature4': '動画プレビュークリップ',
+        'help.feature5': '検索履歴の記録',
+
+        'about.title': 'Anime Sauce Finderについて',
+        'about.close': '概要を閉じる',
+        'about.intro': 'Anime Sauce Finderは、高度なAI技術でスクリーンショットからアニメを特定できる、無料のオープンソースツールです。',
+        'about.stackTitle': '🔧 技術スタック',
+        'about.frontend': '<strong>フロントエンド:</strong> Vanilla JavaScript、CSS3、HTML5',
+        'about.engine': '<strong>AIエンジン:</strong> trace.moe API',
+        'about.database': '<strong>データベース:</strong> AniListアニメデータベース',
+        'about.hosting': '<strong>ホスティング:</strong> Replit Cloud Platform',
+        'about.statsTitle': '📊 統計',
+        'about.stat1': '99%以上の精度',
+        'about.stat2': '20,000以上のアニメ作品に対応',
+        'about.stat3': '毎月数百万件の検索を処理',
+        'about.stat4': '平均応答時間: 3秒未満',
+        'about.creditsTitle': '🙏 クレジット',
+        'about.creditTraceMoe': '<a href="https://trace.moe" target="_blank" rel="noopener">trace.moe</a> - AI認識エンジン',
+        'about.creditAnilist': '<a href="https://anilist.co" target="_blank" rel="noopener">AniList</a> - アニメデータベース',
+        'about.creditReplit': '<a href="https://replit.com" target="_blank" rel="noopener">Replit</a> - ホスティング',
+        'about.creditFonts': 'Google Fonts - フォント',
+
+        'settings.title': '設定',
+        'settings.close': '設定を閉じる',
+        'settings.languageTitle': '🌐 言語',
+        'settings.languageLabel': '表示言語',
+        'settings.languageAuto': '自動(ブラウザの言語)',
+        'settings.apiTitle': '🔌 APIエンドポイント',
+        'settings.apiBaseUrl': 'trace.moeのベースURL',
+        'settings.test': 'テスト',
+        'settings.apiBaseUrlHelp': '空欄にすると公開APIを使います。オフラインでのテストには、セルフホストのtrace.moeやローカルのモックサーバー(例: http://localhost:3000)を指定してください。',
+        'settings.apiKey': 'APIキー',
+        'settings.apiKeyPlaceholder': '任意',
+        'settings.apiKeyHelp': 'すべてのリクエストで<code>x-trace-key</code>として送信されます。クォータと同時実行数の上限が上がります。このブラウザにのみ保存されます。',
+        'settings.anilistEndpoint': 'AniList GraphQLエンドポイント',
+        'settings.anilistEndpointHelp': '結果の詳細パネルで使います。オフラインで作業するにはモックサーバーを指定してください。',
+        'settings.adultTitle': '🔞 成人向けコンテンツ',
+        'settings.adultLabel': 'AniListで成人向けとされた結果',
+        'settings.adultShow': '通常どおり表示',
+        'settings.adultBlur': 'クリックするまでサムネイルをぼかす',
+        'settings.adultHide': '完全に隠す',
+        'settings.adultHelp': '検索結果、検索履歴、共有リンクに適用されます。',
+        'settings.copyTitle': '📋 コピー用テンプレート',
+        'settings.copyHelp': 'プレースホルダー: {title}、{episode}、{timestamp}、{similarity}、{anilistUrl}、{shareLink}。テンプレートを空にすると初期値に戻ります。',
+        'settings.sharingTitle': '📲 共有',
+        'settings.autoSearchShared': 'MrSauceに画像が共有されたら自動で検索する',
+        'settings.sharingHelp': 'ブラウザのメニューからMrSauceをインストールすると、スマートフォンの共有メニューに表示されます。',
+        'settings.reset': '初期設定に戻す',
+        'settings.save': '設定を保存',
+        'settings.invalidApiUrl': '❌ http://またはhttps://から始まる完全なURLを入力するか、空欄にしてください。',
+        'settings.invalidAnilistUrl': '❌ AniListのエンドポイントはhttp://またはhttps://から始まる完全なURLか、空欄にしてください。',
+        'settings.contacting': '⏳ {url} に接続中...',
+        'settings.connected': '✅ {url} に{ms}msで接続しました{quota}',
+        'settings.quotaNote': { other: ' • 残り{count}回、優先度{priority}' },
+        'settings.noResponse': '8秒以内に応答がありませんでした',
+
+        'confirm.leave': '検索中です。このページを離れてもよろしいですか?',
+        'confirm.removeImage': '検索中です。この画像を削除してもよろしいですか?',
+        'confirm.clearAll': '検索中です。すべて消去してもよろしいですか?',
+        'confirm.clearHistory': '検索履歴をすべて消去してもよろしいですか?',
+
+        'offline.waiting': { other: '🔄 待機中の検索が{count}件あります' },
+        'offline.queued': { other: '📥 {count}件の検索を保留中です。オンラインに戻ると実行されます。' },
+        'notify.title': '検索が完了しました: {name}',
+
+        'status.ready': '🚀 準備完了!画像をアップロードして始めましょう。',
+        'status.initFailed': '⚠️ アプリの初期化に失敗しました。ページを再読み込みしてください。',
+        'status.videoRemoved': '🗑️ 動画を削除しました。検索するには別のファイルをアップロードしてください。',
+        'status.clipFailed': '❌ このクリップを読み込めませんでした。期限切れの可能性があります。もう一度検索して新しいリンクを取得してください。',
+        'status.online': '🌐 接続が回復しました!',
+        'status.offline': '⚠️ インターネットに接続されていません。オンラインに戻るまで検索は保留されます。',
+        'status.cannotQueue': '⚠️ オフラインで、このブラウザでは検索を保留できません。接続後にもう一度お試しください。',
+        'status.searchQueued': '📥 オフラインです。検索を保留し、接続が戻ったら実行します。',
+        'status.runningQueue': { other: '🔄 保留中の検索を{count}件実行中...' },
+        'status.queuedFailed': '⚠️ {name} の保留中の検索に失敗しました: {reason}',
+        'status.shareEmpty': '❌ 検索できるものが共有されませんでした。画像か画像のリンクを共有してください。',
+        'status.shareReceived': '📲 共有された画像を受け取りました!検索ボタンを押して出典を探しましょう。',
+        'status.deepLinkInvalid': '❌ リンクに含まれる画像URLが無効です',
+        'status.linkCopied': '🔗 リンクをクリップボードにコピーしました',
+        'status.copiedAs': '📋 {format}形式でコピーしました',
+        'status.sharedLinkBroken': '❌ この共有リンクは不完全か壊れています',
+        'status.clipboardUnsupported': 'このブラウザはクリップボードへのアクセスに対応していません',
+        'status.urlPasted': 'クリップボードからURLを貼り付けました!',
+        'status.clipboardNoUrl': 'クリップボードに有効なURLがありません',
+        'status.clipboardFailed': 'クリップボードを読み取れませんでした',
+        'status.fileLoaded': '✅ ファイルを読み込みました: {name}',
+        'status.fileDropped': '✅ ファイルをドロップしました: {name}',
+        'status.imagePasted': '✅ クリップボードから画像を貼り付けました!',
+        'status.unsupportedType': '❌ 対応していないファイル形式です: {type}。JPG、PNG、GIF、WebP、BMP、AVIFを使ってください。',
+        'status.fileTooLarge': '❌ ファイルが大きすぎます: {size}。上限は{max}です',
+        'status.lowQuality': '⚠️ 低画質の画像です。結果の精度が下がる可能性があります。',
+        'status.imageRemoved': '🗑️ 画像を削除しました。検索するには別の画像をアップロードしてください。',
+        'status.cleared': '✨ すべて消去しました!新しい検索の準備ができました。',
+        'status.noInput': '❌ 画像をアップロードするか、画像のURLを入力してください',
+        'status.invalidUrl': '❌ 有効な画像URLを入力してください',
+        'status.found': { other: '🎉 {time}msで{count}件の一致が見つかりました!' },
+        'status.foundInFrames': { other: '🎉 {frames}から{time}msで{count}件の一致が見つかりました!' },
+        'status.noSupportedFiles': '❌ 選択したファイルに対応している画像がありません。',
+        'status.batchQueued': { other: '📦 {count}枚の画像を一括検索に追加しました{skipped}' },
+        'status.batchSkipped': { other: '(未対応のファイル{count}件をスキップ)' },
+        'status.batchFinished': { other: '🎉 一括検索完了: {count}枚中{found}枚が{seconds}秒で一致しました' },
+        'status.batchOffline': { other: '📥 オフラインです。一括検索の画像{count}枚は接続が戻ったら検索します。' },
+        'status.videoTooLarge': '❌ 動画が大きすぎます: {size}。上限は{max}です',
+        'status.videoLoaded': '🎬 動画を読み込みました: {name}。フレームを選ぶか、そのまま検索すると自動で抽出します。',
+        'status.maxFrames': '⚠️ 1回の検索で選べるフレームは{count}個までです。',
+        'status.videoDuration': '❌ 動画の長さを読み取れませんでした',
+        'status.sampled': '🎞️ 動画から{frames}を抽出しました',
+        'status.cancelled': '🛑 検索をキャンセルしました',
+        'status.noMatches': '❌ 一致するアニメが見つかりませんでした。上のコツを試してみてください。',
+        'status.noSavedImage': '❌ この履歴には画像が保存されていません。復元できるのは履歴サムネイル導入後の検索のみです。',
+        'status.historyRestored': '📂 {time}の検索を復元しました',
+        'status.urlRestored': '📂 URLを復元しました。結果を見るにはもう一度検索してください。',
+        'status.nothingToExport': '📭 エクスポートする検索履歴はまだありません',
+        'status.exported': { other: '📤 {count}件の検索を{format}でエクスポートしました' },
+        'status.importNeedsDb': '❌ 履歴のインポートにはIndexedDBが必要ですが、このブラウザでは無効になっています',
+        'status.importFailed': '❌ インポートに失敗しました: {reason}',
+        'status.imported': { other: '📥 {count}件の検索をインポートしました{skipped}' },
+        'status.importSkipped': { other: '(履歴にある{count}件をスキップ)' },
+        'status.importDuplicates': { other: '(ファイル内で重複する{count}件をスキップ)' },
+        'status.importEvicted': { other: '(容量確保のため古い検索{count}件を削除)' },
+        'status.historyEvicted': { other: '⚠️ ストレージがいっぱいのため、古い検索{count}件を履歴から削除しました' },
+        'status.historyCleared': '🗑️ 検索履歴を消去しました',
+        'status.compareNeedsImage': '❌ この結果と比較するには画像をもう一度読み込んでください',
+        'status.compareFailed': '❌ 比較用の一致フレームを読み込めませんでした',
+        'status.cropNeedsImage': '❌ 切り抜く前に画像を読み込んでください',
+        'status.cropSelectFirst': '✂️ 先に画像上をドラッグして範囲を選択してください',
+        'status.cropFailed': '❌ この画像を切り抜けませんでした',
+        'status.cropped': '✂️ {width}×{height}に切り抜きました',
+        'status.settingsSaved': '⚙️ 設定を保存しました',
+        'status.settingsReset': '⚙️ 設定を初期値に戻しました',
+
+        'error.context.init': 'アプリを初期化できませんでした',
+        'error.context.queue': '検索を保留できませんでした',
+        'error.context.shared': '共有された画像を読み込めませんでした',
+        'error.context.fileSelection': 'ファイルを処理できませんでした',
+        'error.context.loadImage': '画像を読み込めませんでした',
+        'error.context.search': '検索に失敗しました',
+        'error.context.loadVideo': '動画を読み込めませんでした',
+        'error.context.captureFrame': 'フレームを取得できませんでした',
+        'error.context.sampleFrames': 'フレームを抽出できませんでした',
+        'error.context.export': 'エクスポートに失敗しました',
+        'error.context.import': 'インポートに失敗しました',
+        'error.context.unexpected': '予期しないエラーが発生しました',
+        'error.context.script': 'JavaScriptエラー',
+        'error.cancelled': '検索はキャンセルされました',
+        'error.network': '🌐 ネットワークエラーです。インターネット接続を確認して、もう一度お試しください。',
+        'error.quota': '🪫 検索クォータを使い切りました。設定でAPIキーを追加するか、クォータがリセットされるまでお待ちください。',
+        'error.apiKey': '🔑 APIキーが拒否されました。設定を確認してください。',
+        'error.rateLimit': '⏳ リクエストが多すぎます。少し待ってからもう一度お試しください。',
+        'error.server': '🛠️ サーバーエラーです。サービスが一時的に利用できない可能性があります。',
+        'error.badRequest': '❌ 無効なリクエストです。画像を確認して、もう一度お試しください。',
+        'error.tooLarge': '📏 画像が大きすぎます。より小さい画像を使ってください。',
+        'error.generic': '🔧 問題が発生しました。別の画像でもう一度お試しください。',
+        'error.fallbackTitle': '⚠️ 初期化エラー',
+        'error.fallbackBody': 'Anime Sauce Finderを読み込めませんでした。ページを再読み込みして、もう一度お試しください。',
+        'error.fallbackReload': 'ページを再読み込み'
+    },
+
+    es: {
+        'app.title': 'Anime Sauce Finder - Reconocimiento de anime con IA',
+        'app.skipLink': 'Saltar al contenido principal',
+        'app.subtitle': 'Descubre al instante el origen de cualquier captura de anime con IA',
+        'stats.searchesToday': 'Búsquedas hoy',
+        'stats.quotaLeft': 'Cuota restante',
+        'stats.priority': 'Prioridad',
+        'stats.accuracy': 'Precisión',
+        'quota.used': '{used} de {total} usadas',
+
+        'upload.inputLabel': 'Subir archivo de imagen de anime',
+        'upload.heading': 'Subir imagen',
+        'upload.title': 'Sube tu imagen de anime',
+        'upload.description': 'Arrastra y suelta aquí una o varias imágenes o un clip corto, pega desde el portapapeles (Ctrl+V) o haz clic para buscar',
+        'upload.choose': 'Elegir imagen',
+        'upload.or': 'o',
+        'upload.urlPlaceholder': 'Pega aquí la URL de la imagen... (admite enlaces directos, imgur, etc.)',
+        'upload.urlLabel': 'URL de la imagen',
+        'upload.pasteTitle': 'Pegar desde el portapapeles',
+
+        'options.summary': '⚙️ Opciones avanzadas',
+        'options.cutBorders': 'Recortar bordes negros en el servidor',
+        'options.anilistInfo': 'Incluir títulos y detalles de AniList',
+        'options.anilistId': 'Buscar solo dentro del ID de AniList',
+        'options.anilistIdPlaceholder': 'p. ej. 21',
+        'options.filtersTitle': 'Filtros de resultados',
+        'options.filtersNote': '(se aplican al instante)',
+        'options.minSimilarity': 'Similitud mínima',
+        'options.maxResults': 'Máximo de series',
+        'options.hideBelowMedium': 'Ocultar resultados con confianza inferior a "Media" (60%)',
+
+        'preview.heading': 'Vista previa de la imagen',
+        'preview.imageAlt': 'Vista previa de la imagen de anime subida',
+        'preview.crop': 'Recortar imagen',
+        'preview.cropLabel': 'Recortar la imagen antes de buscar',
+        'preview.fullscreen': 'Ver en pantalla completa',
+        'preview.fullscreenLabel': 'Ver la imagen en pantalla completa',
+        'preview.remove': 'Quitar imagen',
+        'image.unknownSize': 'Tamaño desconocido',
+        'image.saved': '(ahorro de {size}, {percent}%)',
+
+        'borderTrim.detected': '✂️ Bordes detectados ({sides}). Las imágenes recortadas suelen coincidir mejor.',
+        'borderTrim.side.top': 'arriba',
+        'borderTrim.side.bottom': 'abajo',
+        'borderTrim.side.left': 'izquierda',
+        'borderTrim.side.right': 'derecha',
+        'borderTrim.versionLabel': 'Versión de la imagen que se busca',
+        'borderTrim.original': 'Original',
+        'borderTrim.trimmed': 'Recortada',
+
+        'video.heading': 'Selector de fotogramas',
+        'video.captureTitle': 'Usar el fotograma que se muestra',
+        'video.capture': 'Añadir fotograma actual',
+        'video.frames': 'Fotogramas',
+        'video.sampleTitle': 'Tomar fotogramas repartidos por todo el clip',
+        'video.sample': 'Muestreo automático',
+        'video.remove': 'Quitar vídeo',
+        'video.frameList': 'Fotogramas que se buscarán',
+        'frames.empty': 'Aún no has elegido fotogramas. Se tomarán automáticamente al buscar.',
+        'frames.alt': 'Fotograma en {seconds} s',
+        'frames.remove': 'Quitar fotograma',
+
+        'batch.title': '📦 Cola de lote',
+        'batch.cancel': 'Cancelar',
+        'batch.clear': 'Vaciar cola',
+        'batch.searching': '🔍 Buscando...',
+        'batch.failed': '⚠️ La búsqueda falló',
+        'batch.cancelled': '🛑 Cancelada',
+        'batch.queued': '⏳ En cola',
+        'batch.offline': '📥 Esperando conexión',
+
+        'actions.heading': 'Acciones',
+        'actions.search': 'Buscar el anime',
+        'actions.clear': 'Borrar todo',
+        'actions.historyTitle': 'Ver historial de búsqueda',
+        'actions.history': 'Historial',
+        'actions.tip': 'Consejo: ¡cuanto mejor sea la imagen, más precisos serán los resultados!',
+
+        'loading.label': 'Buscando el anime',
+        'loading.analyzing': 'Analizando tu imagen con IA...',
+        'loading.searching': 'Buscando en la base de datos de anime...',
+        'loading.processing': 'Procesando características visuales...',
+        'loading.matching': 'Comparando con miles de animes...',
+        'loading.almostDone': '¡Ya casi está, un momento!',
+        'loading.subtext': 'Esto puede tardar unos segundos',
+
+        'count.frames': { one: '{count} fotograma', other: '{count} fotogramas' },
+        'count.scenes': { one: '{count} escena', other: '{count} escenas' },
+        'count.episodes': { one: '{count} episodio', other: '{count} episodios' },
+
+        'results.title': 'Resultados de la búsqueda',
+        'results.showCount': { one: '({count} serie)', other: '({count} series)' },
+        'results.zeroFound': '(0 encontrados)',
+        'results.hiddenAdult': {
+            one: '🔞 {count} resultado para adultos oculto por tu configuración',
+            other: '🔞 {count} resultados para adultos ocultos por tu configuración'
+        },
+        'results.belowThreshold': {
+            one: '🔽 {count} resultado por debajo de tu filtro de similitud',
+            other: '🔽 {count} resultados por debajo de tu filtro de similitud'
+        },
+        'results.lowSimilarity': '⚠️ La mejor coincidencia solo tiene un {similarity}% de similitud. Según trace.moe, las coincidencias por debajo del {threshold}% suelen ser erróneas; prueba con una captura más limpia y sin recortar.',
+        'results.noMatches': '❌ No se encontraron coincidencias',
+
+        'confidence.excellent': '🟢 Excelente',
+        'confidence.high': '🟢 Alta',
+        'confidence.medium': '🟡 Media',
+        'confidence.low': '🟡 Baja',
+        'confidence.very-low': '🔴 Muy baja',
+
+        'result.frames': '🎞️ Coincide en {matched} de {frames}',
+        'result.combinedTitle': 'Parte de todas las coincidencias que apuntan a esta serie',
+        'result.combined': {
+            one: '📊 Confianza combinada del {confidence}% a partir de {count} coincidencia',
+            other: '📊 Confianza combinada del {confidence}% a partir de {count} coincidencias'
+        },
+        'result.adultReveal': 'Contenido para adultos — haz clic para mostrarlo',
+        'result.sceneAlt': 'Escena de {title}',
+        'result.watchClipTitle': 'Ver el clip de la escena',
+        'result.watchClip': '📺 Ver clip',
+        'result.copyTitle': 'Copiar este resultado para foros y chats',
+        'result.copy': '📋 Copiar',
+        'result.shareTitle': 'Compartir un enlace a este resultado',
+        'result.share': '🔗 Compartir',
+        'result.compareTitle': 'Comparar tu imagen con este fotograma',
+        'result.compare': '🔍 Comparar',
+        'result.anilistTitle': 'Ver en AniList',
+        'result.anilistPage': '📚 Página de AniList',
+        'result.details': 'ℹ️ Detalles',
+        'result.scenes': '🎬 {scenes} en {episodes}',
+        'result.unknownTitle': 'Título desconocido',
+        'result.unknownAnime': 'Anime desconocido',
+        'result.at': 'En {time}',
+
+        'episode.season': 'Temporada {season}',
+        'episode.single': 'Episodio {episode}',
+        'episode.range': 'Episodios {from}–{to}',
+        'episode.list': 'Episodios {list}',
+        'episode.ofTotal': 'Episodio {episode} de {total}',
+        'episode.unknown': 'Episodio desconocido',
+
+        'details.loading': 'Cargando detalles de AniList...',
+        'details.error': 'No se pudo contactar con AniList: {reason}',
+        'details.english': 'Inglés',
+        'details.romaji': 'Romaji',
+        'details.native': 'Original',
+        'details.synonyms': 'Sinónimos',
+        'details.season': 'Temporada',
+        'details.format': 'Formato',
+        'details.adult': 'Para adultos',
+        'details.yes': '🔞 Sí',
+        'details.no': 'No',
+        'details.coverAlt': 'Portada de {title}',
+        'details.seasonYear': '{season} de {year}',
+        'season.WINTER': 'Invierno',
+        'season.SPRING': 'Primavera',
+        'season.SUMMER': 'Verano',
+        'season.FALL': 'Otoño',
+        'format.TV': 'TV',
+        'format.TV_SHORT': 'TV corta',
+        'format.MOVIE': 'Película',
+        'format.SPECIAL': 'Especial',
+        'format.OVA': 'OVA',
+        'format.ONA': 'ONA',
+        'format.MUSIC': 'Música',
+
+        'noResults.title': '❌ No se encontró ningún anime',
+        'noResults.body': 'No encontramos ningún anime que coincida con esta imagen.',
+        'noResults.tipsTitle': '💡 Consejos para obtener mejores resultados:',
+        'noResults.tip1': 'Usa capturas de anime nítidas y de buena calidad',
+        'noResults.tip2': 'Evita imágenes muy editadas o con filtros',
+        'noResults.tip3': 'Prueba otras escenas del mismo anime',
+        'noResults.tip4': 'Comprueba que la imagen sea realmente de un anime',
+        'noResults.tip5': 'Si puedes, quita textos superpuestos o marcas de agua',
+        'noResults.techTitle': '🔧 Consejos técnicos:',
+        'noResults.techTip1': 'Las imágenes de 720p o más funcionan mejor',
+        'noResults.techTip2': 'Los formatos JPEG y PNG son los más fiables',
+        'noResults.techTip3': 'Las escenas centradas en caras suelen dar mejores resultados',
+        'noResults.techTip4': 'Prueba a recortar para centrarte en el sujeto principal (✂️ en la vista previa)',
+
+        'copy.markdown': 'Markdown',
+        'copy.bbcode': 'BBCode',
+        'copy.plain': 'Texto sin formato',
+        'copy.discord': 'Discord',
+        'copy.unknownTime': 'momento desconocido',
+        'copy.prompt': 'Copia esto:',
+
+        'shared.heading': '🔗 Resultado compartido',
+        'shared.close': 'Haz tu propia búsqueda',
+        'shared.loading': 'Cargando resultado compartido...',
+        'shared.adultHidden': '🔞 Este resultado compartido es contenido para adultos y está oculto por tu configuración.',
+        'shared.similarity': '🎯 {similarity}% de similitud cuando se encontró',
+
+        'history.heading': 'Historial de búsqueda',
+        'history.close': 'Cerrar el panel de historial',
+        'history.searchPlaceholder': 'Buscar títulos y entradas',
+        'history.searchLabel': 'Buscar en el historial',
+        'history.typeLabel': 'Tipo de entrada',
+        'history.typeAll': 'Todas las entradas',
+        'history.typeFile': '📁 Archivos',
+        'history.typeUrl': '🔗 URL',
+        'history.sortLabel': 'Ordenar historial',
+        'history.sortNewest': 'Más recientes primero',
+        'history.sortOldest': 'Más antiguas primero',
+        'history.sortBest': 'Mejor coincidencia primero',
+        'history.sortWeakest': 'Peor coincidencia primero',
+        'history.from': 'Desde',
+        'history.to': 'Hasta',
+        'history.hasResults': 'Solo búsquedas con resultados',
+        'history.empty': 'Aún no hay historial de búsqueda. ¡Empieza subiendo una imagen!',
+        'history.noFilterMatches': 'Ninguna búsqueda coincide con estos filtros.',
+        'history.loadMore': 'Cargar más',
+        'history.itemTitle': 'Volver a mostrar estos resultados',
+        'history.rerunTitle': 'Buscar esta imagen de nuevo',
+        'history.rerun': '🔄 Buscar de nuevo',
+        'history.rerunThumbnailTitle': 'Busca la miniatura guardada de {size}px; la imagen original no se conserva, así que las coincidencias pueden ser peores',
+        'history.rerunThumbnail': '🔄 Buscar miniatura',
+        'history.adultHidden': '🔞 Título para adultos oculto',
+        'history.unknown': 'Desconocido',
+        'history.exportJsonTitle': 'Todo, incluidas miniaturas y resultados completos',
+        'history.exportCsvTitle': 'Mejor resultado de cada búsqueda, para hojas de cálculo',
+        'history.importTitle': 'Combinar una exportación JSON con este historial',
+        'history.import': '📥 Importar',
+        'history.clear': 'Borrar historial',
+
+        'import.notJson': 'El archivo no es JSON válido. Solo se pueden importar exportaciones JSON.',
+        'import.notExport': 'Esto no es una exportación del historial de MrSauce.',
+        'import.newerVersion': 'Esta exportación se creó con una versión más reciente de MrSauce.',
+        'import.noEntries': 'La exportación no tiene una lista de entradas.',
+        'import.invalidEntry': 'La entrada {index} no es válida ({reason}).',
+
+        'compare.close': 'Cerrar la vista de pantalla completa',
+        'compare.imageAlt': 'Imagen de anime en pantalla completa',
+        'compare.modeLabel': 'Modo de comparación',
+        'compare.side': 'Lado a lado',
+        'compare.overlay': 'Superponer',
+        'compare.swipe': 'Deslizar',
+        'compare.difference': 'Diferencia',
+        'compare.canvasLabel': 'Tu imagen comparada con el fotograma encontrado',
+        'compare.caption': 'Tu imagen vs {title} {episode} ({similarity}%)',
+        'compare.opacity': 'Opacidad de la coincidencia',
+        'compare.divider': 'Posición del divisor',
+
+        'clip.close': 'Cerrar el reproductor',
+        'clip.prevFrame': 'Fotograma anterior',
+        'clip.prevFrameTitle': 'Fotograma anterior (,)',
+        'clip.nextFrame': 'Fotograma siguiente',
+        'clip.nextFrameTitle': 'Fotograma siguiente (.)',
+        'clip.play': 'Reproducir clip',
+        'clip.pause': 'Pausar clip',
+        'clip.playTitle': 'Reproducir (Espacio)',
+        'clip.pauseTitle': 'Pausar (Espacio)',
+        'clip.mute': 'Silenciar',
+        'clip.muteTitle': 'Silenciar (M)',
+        'clip.unmuteTitle': 'Activar sonido (M)',
+        'clip.loop': 'Repetir',
+        'clip.speed': 'Velocidad',
+
+        'crop.hint': 'Arrastra para seleccionar la zona que quieres buscar',
+        'crop.cancel': 'Cancelar',
+        'crop.apply': '✂️ Aplicar recorte',
+
+        'footer.poweredBy': 'Funciona con la API de <a href="https://trace.moe" target="_blank" rel="noopener noreferrer">trace.moe</a>',
+        'footer.badge': 'Gratis y de código abierto',
+        'footer.tech': 'Hecho con tecnologías web modernas • Base de datos de <a href="https://anilist.co" target="_blank" rel="noopener noreferrer">AniList</a> • Alojado en <a href="https://www.netlify.com" target="_blank" rel="noopener noreferrer">Netlify</a>',
+        'footer.about': 'Acerca de',
+        'footer.help': 'Ayuda',
+        'footer.settings': 'Ajustes',
+        'footer.source': 'Código fuente',
+
+        'help.title': 'Cómo usar Anime Sauce Finder',
+        'help.close': 'Cerrar la ayuda',
+        'help.formatsTitle': '🖼️ Formatos de imagen admitidos',
+        'help.formats': 'JPG, PNG, GIF, WebP, BMP (hasta 10 MB)',
+        'help.video': 'Clips MP4 y WebM: elige fotogramas mientras avanzas por el vídeo o deja que la aplicación los tome por ti',
+        'help.uploadTitle': '📤 Cómo subir',
+        'help.upload1': 'Haz clic en "Elegir imagen" para buscar archivos',
+        'help.upload2': 'Arrastra y suelta una imagen directamente',
+        'help.upload3': 'Selecciona o suelta varias imágenes para buscarlas en lote',
+        'help.upload4': 'Pega desde el portapapeles (Ctrl+V)',
+        'help.upload5': 'Introduce la URL de una imagen',
+        'help.tipsTitle': '🎯 Consejos para mejores resultados',
+        'help.tip1': 'Usa capturas de anime nítidas y sin editar',
+        'help.tip2': 'Evita imágenes con mucho texto superpuesto',
+        'help.tip3': 'Las imágenes de mayor resolución funcionan mejor',
+        'help.tip4': 'Evita imágenes muy recortadas o ampliadas',
+        'help.featuresTitle': '⚡ Funciones',
+        'help.feature1': 'Reconocimiento de anime con IA',
+        'help.feature2': 'Detección de episodio y marca de tiempo',
+        'help.feature3': 'Porcentaje de similitud',
+        'help.feature4': 'Clips de vista previa',
+        'help.feature5': 'Historial de búsquedas',
+
+        'about.title': 'Acerca de Anime Sauce Finder',
+        'about.close': 'Cerrar Acerca de',
+        'about.intro': 'Anime Sauce Finder es una herramienta gratuita y de código abierto que te ayuda a identificar animes a partir de capturas mediante tecnología de IA avanzada.',
+        'about.stackTitle': '🔧 Tecnologías',
+        'about.frontend': '<strong>Frontend:</strong> Vanilla JavaScript, CSS3, HTML5',
+        'about.engine': '<strong>Motor de IA:</strong> API de trace.moe',
+        'about.database': '<strong>Base de datos:</strong> base de datos de anime de AniList',
+        'about.hosting': '<strong>Alojamiento:</strong> Replit Cloud Platform',
+        'about.statsTitle': '📊 Estadísticas',
+        'about.stat1': 'Más del 99% de precisión',
+        'about.stat2': 'Más de 20.000 títulos de anime',
+        'about.stat3': 'Millones de búsquedas al mes',
+        'about.stat4': 'Tiempo medio de respuesta: &lt;3 segundos',
+        'about.creditsTitle': '🙏 Créditos',
+        'about.creditTraceMoe': '<a href="https://trace.moe" target="_blank" rel="noopener">trace.moe</a> - Motor de reconocimiento con IA',
+        'about.creditAnilist': '<a href="https://anilist.co" target="_blank" rel="noopener">AniList</a> - Base de datos de anime',
+        'about.creditReplit': '<a href="https://replit.com" target="_blank" rel="noopener">Replit</a> - Alojamiento',
+        'about.creditFonts': 'Google Fonts - Tipografía',
+
+        'settings.title': 'Ajustes',
+        'settings.close': 'Cerrar ajustes',
+        'settings.languageTitle': '🌐 Idioma',
+        'settings.languageLabel': 'Idioma de la interfaz',
+        'settings.languageAuto': 'Automático (idioma del navegador)',
+        'settings.apiTitle': '🔌 Endpoint de la API',
+        'settings.apiBaseUrl': 'URL base de trace.moe',
+        'settings.test': 'Probar',
+        'settings.apiBaseUrlHelp': 'Déjalo vacío para usar la API pública. Apúntalo a una instancia propia de trace.moe o a un servidor simulado local (p. ej. http://localhost:3000) para hacer pruebas sin conexión.',
+        'settings.apiKey': 'Clave de API',
+        'settings.apiKeyPlaceholder': 'Opcional',
+        'settings.apiKeyHelp': 'Se envía como <code>x-trace-key</code> en cada petición. Aumenta tu cuota y tus límites de concurrencia. Solo se guarda en este navegador.',
+        'settings.anilistEndpoint': 'Endpoint GraphQL de AniList',
+        'settings.anilistEndpointHelp': 'Se usa en el panel de detalles de los resultados. Apúntalo a un servidor simulado para trabajar sin conexión.',
+        'settings.adultTitle': '🔞 Contenido para adultos',
+        'settings.adultLabel': 'Resultados marcados como para adultos en AniList',
+        'settings.adultShow': 'Mostrar normalmente',
+        'settings.adultBlur': 'Difuminar miniaturas hasta hacer clic',
+        'settings.adultHide': 'Ocultar por completo',
+        'settings.adultHelp': 'Se aplica a los resultados, al historial de búsqueda y a los enlaces compartidos.',
+        'settings.copyTitle': '📋 Plantillas de copia',
+        'settings.copyHelp': 'Marcadores: {title}, {episode}, {timestamp}, {similarity}, {anilistUrl}, {shareLink}. Vacía una plantilla para restaurar su valor predeterminado.',
+        'settings.sharingTitle': '📲 Compartir',
+        'settings.autoSearchShared': 'Buscar automáticamente cuando se comparte una imagen con MrSauce',
+        'settings.sharingHelp': 'Instala MrSauce desde el menú del navegador para verlo en el menú de compartir de tu móvil.',
+        'settings.reset': 'Restablecer valores',
+        'settings.save': 'Guardar ajustes',
+        'settings.invalidApiUrl': '❌ Introduce una URL completa con http:// o https://, o déjalo vacío.',
+        'settings.invalidAnilistUrl': '❌ El endpoint de AniList debe ser una URL completa con http:// o https://, o estar vacío.',
+        'settings.contacting': '⏳ Conectando con {url}...',
+        'settings.connected': '✅ Conectado a {url} en {ms} ms{quota}',
+        'settings.quotaNote': {
+            one: ' • queda {count} búsqueda, prioridad {priority}',
+            other: ' • quedan {count} búsquedas, prioridad {priority}'
+        },
+        'settings.noResponse': 'Sin respuesta tras 8 segundos',
+
+        'confirm.leave': 'Hay una búsqueda en curso. ¿Seguro que quieres salir?',
+        'confirm.removeImage': 'Hay una búsqueda en curso. ¿Seguro que quieres quitar esta imagen?',
+        'confirm.clearAll': 'Hay una búsqueda en curso. ¿Seguro que quieres borrarlo todo?',
+        'confirm.clearHistory': '¿Seguro que quieres borrar todo el historial de búsqueda?',
+
+        'offline.waiting': {
+            one: '🔄 {count} búsqueda en cola esperando para ejecutarse',
+            other: '🔄 {count} búsquedas en cola esperando para ejecutarse'
+        },
+        'offline.queued': {
+            one: '📥 {count} búsqueda en cola. Se ejecutará cuando vuelvas a tener conexión.',
+            other: '📥 {count} búsquedas en cola. Se ejecutarán cuando vuelvas a tener conexión.'
+        },
+        'notify.title': 'Búsqueda terminada: {name}',
+
+        'status.ready': '🚀 ¡Listo para encontrar el origen de tus animes! Sube una imagen para empezar.',
+        'status.initFailed': '⚠️ No se pudo iniciar la aplicación. Recarga la página.',
+        'status.videoRemoved': '🗑️ Vídeo quitado. Sube otro archivo para buscar.',
+        'status.clipFailed': '❌ No se pudo cargar este clip. Puede que haya caducado; vuelve a buscar para obtener un enlace nuevo.',
+        'status.online': '🌐 ¡Conexión restablecida!',
+        'status.offline': '⚠️ Sin conexión a internet. Las búsquedas quedarán en cola hasta que vuelvas a estar en línea.',
+        'status.cannotQueue': '⚠️ Estás sin conexión y este navegador no puede poner búsquedas en cola. Inténtalo de nuevo cuando tengas conexión.',
+        'status.searchQueued': '📥 Estás sin conexión. La búsqueda queda en cola y se ejecutará cuando vuelva la conexión.',
+        'status.runningQueue': {
+            one: '🔄 Ejecutando {count} búsqueda en cola...',
+            other: '🔄 Ejecutando {count} búsquedas en cola...'
+        },
+        'status.queuedFailed': '⚠️ La búsqueda en cola de {name} falló: {reason}',
+        'status.shareEmpty': '❌ No se compartió nada que se pueda buscar. Comparte una imagen o el enlace de una imagen.',
+        'status.shareReceived': '📲 ¡Imagen compartida recibida! Pulsa buscar para encontrar su origen.',
+        'status.deepLinkInvalid': '❌ El enlace contiene una URL de imagen no válida',
+        'status.linkCopied': '🔗 Enlace copiado al portapapeles',
+        'status.copiedAs': '📋 Copiado como {format}',
+        'status.sharedLinkBroken': '❌ Este enlace compartido está incompleto o roto',
+        'status.clipboardUnsupported': 'Este navegador no permite acceder al portapapeles',
+        'status.urlPasted': '¡URL pegada desde el portapapeles!',
+        'status.clipboardNoUrl': 'El portapapeles no contiene una URL válida',
+        'status.clipboardFailed': 'No se pudo leer el portapapeles',
+        'status.fileLoaded': '✅ Archivo cargado: {name}',
+        'status.fileDropped': '✅ Archivo soltado: {name}',
+        'status.imagePasted': '✅ ¡Imagen pegada desde el portapapeles!',
+        'status.unsupportedType': '❌ Tipo de archivo no admitido: {type}. Usa JPG, PNG, GIF, WebP, BMP o AVIF.',
+        'status.fileTooLarge': '❌ Archivo demasiado grande: {size}. Máximo permitido: {max}',
+        'status.lowQuality': '⚠️ Imagen de baja calidad. Los resultados pueden ser menos precisos.',
+        'status.imageRemoved': '🗑️ Imagen quitada. Sube otra imagen para buscar.',
+        'status.cleared': '✨ ¡Todo borrado! Listo para una nueva búsqueda.',
+        'status.noInput': '❌ Sube una imagen o indica la URL de una imagen',
+        'status.invalidUrl': '❌ Indica una URL de imagen válida',
+        'status.found': {
+            one: '🎉 ¡{count} coincidencia encontrada en {time} ms!',
+            other: '🎉 ¡{count} coincidencias encontradas en {time} ms!'
+        },
+        'status.foundInFrames': {
+            one: '🎉 ¡{count} coincidencia encontrada en {frames} en {time} ms!',
+            other: '🎉 ¡{count} coincidencias encontradas en {frames} en {time} ms!'
+        },
+        'status.noSupportedFiles': '❌ Ninguno de los archivos seleccionados es una imagen admitida.',
+        'status.batchQueued': {
+            one: '📦 {count} imagen en cola para la búsqueda por lotes{skipped}',
+            other: '📦 {count} imágenes en cola para la búsqueda por lotes{skipped}'
+        },
+        'status.batchSkipped': {
+            one: ' ({count} archivo no admitido omitido)',
+            other: ' ({count} archivos no admitidos omitidos)'
+        },
+        'status.batchFinished': {
+            one: '🎉 Lote terminado: {found} de {count} imagen con coincidencias en {seconds} s',
+            other: '🎉 Lote terminado: {found} de {count} imágenes con coincidencias en {seconds} s'
+        },
+        'status.batchOffline': {
+            one: '📥 Estás sin conexión. {count} imagen del lote se buscará cuando vuelva la conexión.',
+            other: '📥 Estás sin conexión. {count} imágenes del lote se buscarán cuando vuelva la conexión.'
+        },
+        'status.videoTooLarge': '❌ Vídeo demasiado grande: {size}. Máximo permitido: {max}',
+        'status.videoLoaded': '🎬 Vídeo cargado: {name}. Elige fotogramas o busca para tomarlos automáticamente.',
+        'status.maxFrames': '⚠️ Puedes elegir hasta {count} fotogramas por búsqueda.',
+        'status.videoDuration': '❌ No se pudo leer la duración del vídeo',
+        'status.sampled': '🎞️ Se tomaron {frames} del vídeo',
+        'status.cancelled': '🛑 Búsqueda cancelada',
+        'status.noMatches': '❌ No se encontró ningún anime. Prueba los consejos de arriba para obtener mejores resultados.',
+        'status.noSavedImage': '❌ Esta entrada no tiene imagen guardada. Solo se pueden restaurar las búsquedas hechas desde que el historial guarda miniaturas.',
+        'status.historyRestored': '📂 Búsqueda restaurada de {time}',
+        'status.urlRestored': '📂 URL restaurada. Vuelve a buscar para ver sus resultados.',
+        'status.nothingToExport': '📭 Aún no hay historial de búsqueda que exportar',
+        'status.exported': {
+            one: '📤 Se exportó {count} búsqueda como {format}',
+            other: '📤 Se exportaron {count} búsquedas como {format}'
+        },
+        'status.importNeedsDb': '❌ Importar el historial requiere IndexedDB, que este navegador tiene desactivado',
+        'status.importFailed': '❌ La importación falló: {reason}',
+        'status.imported': {
+            one: '📥 Se importó {count} búsqueda{skipped}',
+            other: '📥 Se importaron {count} búsquedas{skipped}'
+        },
+        'status.importSkipped': {
+            one: ', se omitió {count} que ya estaba en el historial',
+            other: ', se omitieron {count} que ya estaban en el historial'
+        },
+        'status.importDuplicates': {
+            one: ', se omitió {count} repetida en el archivo',
+            other: ', se omitieron {count} repetidas en el archivo'
+        },
+        'status.importEvicted': {
+            one: ', se eliminó la búsqueda más antigua para hacer sitio',
+            other: ', se eliminaron las {count} búsquedas más antiguas para hacer sitio'
+        },
+        'status.historyEvicted': {
+            one: '⚠️ El almacenamiento está lleno, así que se eliminó la búsqueda más antigua del historial',
+            other: '⚠️ El almacenamiento está lleno, así que se eliminaron las {count} búsquedas más antiguas del historial'
+        },
+        'status.historyCleared': '🗑️ Historial de búsqueda borrado',
+        'status.compareNeedsImage': '❌ Vuelve a cargar tu imagen para compararla con esta coincidencia',
+        'status.compareFailed': '❌ No se pudo cargar el fotograma para la comparación',
+        'status.cropNeedsImage': '❌ Carga una imagen antes de recortar',
+        'status.cropSelectFirst': '✂️ Primero arrastra sobre la imagen para seleccionar una zona',
+        'status.cropFailed': '❌ No se pudo recortar esta imagen',
+        'status.cropped': '✂️ Recortada a {width}×{height}',
+        'status.settingsSaved': '⚙️ Ajustes guardados',
+        'status.settingsReset': '⚙️ Ajustes restablecidos',
+
+        'error.context.init': 'No se pudo iniciar la aplicación',
+        'error.context.queue': 'No se pudo poner la búsqueda en cola',
+        'error.context.shared': 'No se pudo cargar la imagen compartida',
+        'error.context.fileSelection': 'No se pudo procesar el archivo seleccionado',
+        'error.context.loadImage': 'No se pudo cargar la imagen',
+        'error.context.search': 'La búsqueda falló',
+        'error.context.loadVideo': 'No se pudo cargar el vídeo',
+        'error.context.captureFrame': 'No se pudo capturar el fotograma',
+        'error.context.sampleFrames': 'No se pudieron tomar los fotogramas',
+        'error.context.export': 'La exportación falló',
+        'error.context.import': 'La importación falló',
+        'error.context.unexpected': 'Se produjo un error inesperado',
+        'error.context.script': 'Error de JavaScript',
+        'error.cancelled': 'La búsqueda se canceló',
+        'error.network': '🌐 Error de red. Comprueba tu conexión a internet e inténtalo de nuevo.',
+        'error.quota': '🪫 Se agotó la cuota de búsquedas. Añade una clave de API en Ajustes o espera a que se restablezca la cuota.',
+        'error.apiKey': '🔑 La clave de API fue rechazada. Revísala en Ajustes.',
+        'error.rateLimit': '⏳ Demasiadas peticiones. Espera un momento e inténtalo de nuevo.',
+        'error.server': '🛠️ Error del servidor. Puede que el servicio no esté disponible temporalmente.',
+        'error.badRequest': '❌ Petición no válida. Revisa tu imagen e inténtalo de nuevo.',
+        'error.tooLarge': '📏 Imagen demasiado grande. Usa una imagen más pequeña.',
+        'error.generic': '🔧 Algo salió mal. Inténtalo de nuevo con otra imagen.',
+        'error.fallbackTitle': '⚠️ Error de inicio',
+        'error.fallbackBody': 'No se pudo cargar Anime Sauce Finder. Recarga la página e inténtalo de nuevo.',
+        'error.fallbackReload': 'Recargar página'
+    }
+};
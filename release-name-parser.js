@@ -0,0 +1,228 @@
+/**
+ * Anime Sauce Finder - release name parser
+ * Loaded before script.js in the browser; also exported for Node so the fixture table in
+ * tests/release-name-parser.test.js can run with plain `node`.
+ */
+
+/**
+ * Parses anime release file names such as
+ * "[SubsPlease] Sousou no Frieren - 12v2 (1080p) [A1B2C3D4].mkv" or
+ * "Frieren.S01E12.1080p.WEB.x264-GROUP.mkv" into structured fields.
+ */
+class ReleaseNameParser {
+    constructor() {
+        this.VIDEO_EXTENSIONS = /\.(mkv|mp4|avi|mov|wmv|flv|webm|m4v|ts|m2ts)$/i;
+        // "1080p" may be glued to the source, as in "BD1080p"
+        this.RESOLUTION = /(?<!\d)\d{3,4}p\b|\b(?:\d{3,4}x\d{3,4}|4K|UHD)\b/i;
+        this.VIDEO_CODEC = /\b(x\.?264|x\.?265|h\.?264|h\.?265|HEVC|AVC|AV1|VP9|XviD)\b/i;
+        this.BIT_DEPTH = /\b(10|8)[- ]?bits?\b|\bHi10P?\b/i;
+        this.AUDIO_CODEC = /\b(AAC(?:\s?2\.0)?|FLAC|E-?AC-?3|AC-?3|DDP?\s?[257]\.[01]|Opus|MP3|DTS(?:-HD)?(?:\s?MA)?|TrueHD)\b/i;
+        this.SOURCE = /\b(BDRip|BD|Blu-?Ray|WEB-?DL|WEB-?Rip|WEB|HDTV|DVD(?:Rip)?|CR|AMZN|NF|DSNP)(?:\b|(?=\d{3,4}p\b))/i;
+        this.CRC = /^[0-9A-F]{8}$/i;
+        this.RANGE = /^(\d{1,4})\s*[-~]\s*(\d{1,4})$/;
+    }
+    
+    /**
+     * Returns { title, group, season, episode, episodeEnd, version, resolution,
+     * videoCodec, bitDepth, audioCodec, source, crc, extension }. Missing fields are null.
+     */
+    parse(filename) {
+        const release = {
+            title: null, group: null, season: null, episode: null, episodeEnd: null, version: null,
+            resolution: null, videoCodec: null, bitDepth: null, audioCodec: null, source: null, crc: null,
+            extension: null
+        };
+        if (!filename) return release;
+        
+        let name = String(filename);
+        const extension = name.match(this.VIDEO_EXTENSIONS);
+        if (extension) {
+            release.extension = extension[1].toLowerCase();
+            name = name.slice(0, -extension[0].length);
+        }
+        
+        name = this.normalizeSeparators(name);
+        name = this.takeBracketedTokens(name, release);
+        name = this.takeMetadata(name, release);
+        name = this.takeEpisode(name, release);
+        name = this.takeSeason(name, release);
+        
+        release.title = this.cleanTitle(name) || null;
+        return release;
+    }
+    
+    /**
+     * Underscores always separate words; dots only in scene-style names without spaces
+     */
+    normalizeSeparators(name) {
+        let normalized = name.replace(/_/g, ' ');
+        if (!normalized.includes(' ') && (normalized.match(/\./g) || []).length >= 2) {
+            // Keep dots inside numbers such as "5.1" or "12.5" and codecs such as "H.264"
+            normalized = normalized.replace(/\.(?!\d)|(?<!\d|\b[HhXx])\./g, ' ');
+        }
+        return normalized;
+    }
+    
+    /**
+     * Pull out [..], (..), {..} and 【..】 tokens. The first one at the start is the group
+     * unless it looks like metadata; the rest can hold resolution, codecs, CRC or a batch range.
+     */
+    takeBracketedTokens(name, release) {
+        const bracket = /\[([^\]]*)\]|\(([^)]*)\)|\{([^}]*)\}|【([^】]*)】/g;
+        let rest = name;
+        let match;
+        
+        while ((match = bracket.exec(name)) !== null) {
+            const content = (match[1] || match[2] || match[3] || match[4] || '').trim();
+            const atStart = name.slice(0, match.index).trim() === '';
+            const range = content.match(this.RANGE);
+            const episode = content.match(/^(\d{1,4})(?:v(\d))?$/);
+            
+            // A year like (2023) stays in the title
+            if (/^(19|20)\d{2}$/.test(content)) continue;
+            
+            const season = this.matchSeason(content, true);
+            if (season !== null) {
+                if (release.season === null) release.season = season;
+            } else if (this.CRC.test(content) && !/^\d+$/.test(content)) {
+                release.crc = content.toUpperCase();
+            } else if (range && release.episode === null) {
+                release.episode = Number(range[1]);
+                release.episodeEnd = Number(range[2]);
+            } else if (episode && !atStart && release.episode === null) {
+                release.episode = Number(episode[1]);
+                release.version = episode[2] ? Number(episode[2]) : null;
+            } else if (atStart && !release.group && !this.isMetadata(content)) {
+                release.group = content;
+            } else if (this.isMetadata(content)) {
+                this.takeMetadata(content, release, true);
+            }
+            // Anything else, like (Dual Audio) or an alternative title, is dropped
+            rest = rest.replace(match[0], ' ');
+        }
+        
+        return rest;
+    }
+    
+    isMetadata(text) {
+        return [this.RESOLUTION, this.VIDEO_CODEC, this.BIT_DEPTH, this.AUDIO_CODEC, this.SOURCE]
+            .some(pattern => pattern.test(text));
+    }
+    
+    /**
+     * Record resolution, codecs and source, and cut everything from the first one onwards;
+     * scene names put the group after them as "-GROUP". Bracketed text is known to be metadata.
+     */
+    takeMetadata(text, release, bracketed = false) {
+        const fields = [
+            ['resolution', this.RESOLUTION],
+            ['videoCodec', this.VIDEO_CODEC],
+            ['bitDepth', this.BIT_DEPTH],
+            ['audioCodec', this.AUDIO_CODEC],
+            ['source', this.SOURCE]
+        ];
+        let firstIndex = text.length;
+        
+        fields.forEach(([field, pattern]) => {
+            const match = text.match(pattern);
+            if (!match) return;
+            
+            // Outside brackets, two-letter sources like "CR" only count after other metadata
+            if (field === 'source' && !bracketed && match[0].length <= 2 && match.index < firstIndex) return;
+            
+            if (!release[field]) {
+                release[field] = field === 'bitDepth' ? this.normalizeBitDepth(match[0]) : match[0];
+            }
+            firstIndex = Math.min(firstIndex, match.index);
+        });
+        
+        if (firstIndex === text.length) return text;
+        
+        const tail = text.slice(firstIndex);
+        const sceneGroup = tail.match(/-([A-Za-z0-9]+)\s*$/);
+        if (sceneGroup && !release.group && !this.isMetadata(sceneGroup[1])) {
+            release.group = sceneGroup[1];
+        }
+        return text.slice(0, firstIndex);
+    }
+    
+    normalizeBitDepth(text) {
+        return /hi10/i.test(text) || text.startsWith('10') ? '10-bit' : '8-bit';
+    }
+    
+    /**
+     * Find the episode and cut it and everything after it from the title
+     */
+    takeEpisode(name, release) {
+        const patterns = [
+            // S01E02, S1E02v2, S01E01-E03
+            { pattern: /\bS(\d{1,2})\s?E(\d{1,4})(?:v(\d))?(?:\s?-\s?E?(\d{1,4}))?\b/i, season: 1, episode: 2, version: 3, end: 4 },
+            // "Title - 12", "Title - 12v2", "Title - 01-12", "Title - 12.5"
+            { pattern: /\s-\s(\d{1,4}(?:\.\d)?)(?:v(\d))?(?:\s?[-~]\s?(\d{1,4})(?:v\d)?)?(?=\s|$)/, episode: 1, version: 2, end: 3 },
+            // EP12, Ep 12, Episode 12, E12
+            { pattern: /\b(?:EP?|Episode)\s?(\d{1,4})(?:v(\d))?\b/i, episode: 1, version: 2 },
+            // A bare trailing number or range: "Title 08", "Title 12v2", "Title 01-25". It needs zero
+            // padding, a version or a range to count, since a lone number may belong to the title
+            // ("Mob Psycho 100"). A year-like 19xx/20xx is left to the title. Skipped when a bracket
+            // held the episode.
+            {
+                pattern: /\s(?!(?:19|20)\d{2}(?:\s|$))(\d{1,4}(?:\.\d)?)(?:v(\d))?(?:\s?[-~]\s?(\d{1,4}))?\s*$/,
+                episode: 1, version: 2, end: 3, fallback: true
+            }
+        ];
+        
+        for (const { pattern, season, episode, version, end, fallback } of patterns) {
+            if (fallback && release.episode !== null) break;
+            const match = name.match(pattern);
+            if (!match) continue;
+            if (fallback && !/^0\d/.test(match[episode]) && !match[version] && !match[end]) continue;
+            
+            if (season) release.season = Number(match[season]);
+            release.episode = Number(match[episode]);
+            release.episodeEnd = end && match[end] ? Number(match[end]) : release.episodeEnd;
+            release.version = version && match[version] ? Number(match[version]) : null;
+            return name.slice(0, match.index);
+        }
+        
+        return name;
+    }
+    
+    /**
+     * Season from the title itself. "Season 2" and "2nd Season" are part of many official
+     * titles and stay; a trailing "S2" tag is cut.
+     */
+    takeSeason(name, release) {
+        const tag = name.match(/\sS(\d{1,2})\s*$/);
+        if (tag) {
+            if (release.season === null) release.season = Number(tag[1]);
+            return name.slice(0, tag.index);
+        }
+        
+        if (release.season === null) {
+            release.season = this.matchSeason(name, false);
+        }
+        return name;
+    }
+    
+    /**
+     * Season number written as "Season 2" or "2nd Season"; with whole = true the text must be
+     * nothing else, which also allows a bare "S2" (used for bracketed tokens). Null if none.
+     */
+    matchSeason(text, whole) {
+        const match = whole
+            ? text.match(/^(?:Season\s?(\d{1,2})|(\d{1,2})(?:st|nd|rd|th)\s+Season|S(\d{1,2}))$/i)
+            : text.match(/\bSeason\s?(\d{1,2})\b|\b(\d{1,2})(?:st|nd|rd|th)\s+Season\b/i);
+        return match ? Number(match[1] || match[2] || match[3]) : null;
+    }
+    
+    cleanTitle(name) {
+        return name
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s\-~.]+|[\s\-~.]+$/g, '')
+            .trim();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReleaseNameParser;
+}
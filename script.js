@@ -8,6 +8,328 @@
  * @author Anime Sauce Finder Team
  */
 
+/**
+ * Base class for reverse image search backends.
+ * Subclasses implement search() and normalizeResult(); rateLimit() spaces requests by minInterval.
+ */
+class SearchProvider {
+    constructor({ id, name, baseUrl, apiKey = '', minInterval = 0 } = {}) {
+        this.id = id;
+        this.name = name;
+        this.baseUrl = baseUrl;
+        this.defaultBaseUrl = baseUrl;
+        this.apiKey = apiKey;
+        this.minInterval = minInterval;
+        this.nextRequestAt = 0;
+    }
+    
+    /**
+     * Run a search and return the provider's raw result list.
+     * options: { cutBorders, anilistInfo, anilistId }; providers ignore what they don't support.
+     */
+    async search(input, signal, options = {}) {
+        throw new Error(`${this.name} does not implement search()`);
+    }
+    
+    /**
+     * Map one raw result onto the common result model:
+     * { provider, anilistId, title: { english, romaji, native } | null, synonyms, isAdult, filename,
+     *   episode, from, to, similarity (0-1), image, video }
+     */
+    normalizeResult(raw) {
+        throw new Error(`${this.name} does not implement normalizeResult()`);
+    }
+    
+    /**
+     * Point the provider at another instance; an empty value restores the default
+     */
+    setBaseUrl(baseUrl) {
+        this.baseUrl = baseUrl ? baseUrl.replace(/\/+$/, '') : this.defaultBaseUrl;
+    }
+    
+    setApiKey(apiKey) {
+        this.apiKey = apiKey || '';
+    }
+    
+    /**
+     * Make a cheap request to check that an instance is reachable, optionally with an unsaved key
+     */
+    async testConnection(baseUrl, signal, apiKey) {
+        throw new Error(`${this.name} does not implement testConnection()`);
+    }
+    
+    /**
+     * Quota and limits for the current key as { quota, quotaUsed, priority, concurrency },
+     * or null for providers that don't report them
+     */
+    async getAccountInfo(signal) {
+        return null;
+    }
+    
+    /**
+     * Wait for the next free request slot. Slots are reserved up front so parallel callers queue up.
+     */
+    async rateLimit() {
+        const now = Date.now();
+        const slot = Math.max(now, this.nextRequestAt);
+        this.nextRequestAt = slot + this.minInterval;
+        
+        if (slot > now) {
+            await new Promise(resolve => setTimeout(resolve, slot - now));
+        }
+    }
+}
+
+/**
+ * trace.moe search provider (https://soruly.github.io/trace.moe-api/)
+ */
+class TraceMoeProvider extends SearchProvider {
+    constructor(options = {}) {
+        super({
+            id: 'tracemoe',
+            name: 'trace.moe',
+            baseUrl: 'https://api.trace.moe',
+            minInterval: 500,
+            ...options
+        });
+        
+        this.endpoints = {
+            search: '/search',
+            me: '/me',
+            image: '/image',
+            video: '/video'
+        };
+    }
+    
+    /**
+     * Headers identifying the user's API key, if one is set
+     */
+    getAuthHeaders(apiKey = this.apiKey) {
+        return apiKey ? { 'x-trace-key': apiKey } : {};
+    }
+    
+    /**
+     * Query /me, which answers without using search quota
+     */
+    async fetchMe(baseUrl, signal, apiKey = this.apiKey) {
+        const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${this.endpoints.me}`, {
+            method: 'GET',
+            headers: {
+                'Accept': 'application/json',
+                ...this.getAuthHeaders(apiKey)
+            },
+            signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        }
+        
+        return response.json();
+    }
+    
+    async testConnection(baseUrl = this.baseUrl, signal, apiKey = this.apiKey) {
+        return this.fetchMe(baseUrl, signal, apiKey);
+    }
+    
+    async getAccountInfo(signal) {
+        const me = await this.fetchMe(this.baseUrl, signal);
+        return {
+            quota: me.quota,
+            quotaUsed: me.quotaUsed,
+            priority: me.priority,
+            concurrency: me.concurrency
+        };
+    }
+    
+    /**
+     * Build search URL. The options go in the query string for URL and file searches alike.
+     */
+    buildSearchUrl(input, options = {}) {
+        const params = new URLSearchParams();
+        
+        if (input.type === 'url') {
+            params.set('url', input.url);
+        }
+        if (options.cutBorders) {
+            params.set('cutBorders', '');
+        }
+        if (options.anilistInfo) {
+            params.set('anilistInfo', '');
+        }
+        if (options.anilistId) {
+            params.set('anilistID', String(options.anilistId));
+        }
+        
+        const query = params.toString();
+        return `${this.baseUrl}${this.endpoints.search}${query ? `?${query}` : ''}`;
+    }
+    
+    /**
+     * Build request options
+     */
+    buildRequestOptions(input) {
+        if (input.type === 'url') {
+            return {
+                method: 'GET',
+                headers: {
+                    'Accept': 'application/json',
+                    ...this.getAuthHeaders()
+                }
+            };
+        } else {
+            const formData = new FormData();
+            formData.append('image', input.file);
+            
+            return {
+                method: 'POST',
+                body: formData,
+                // Do not set forbidden headers like User-Agent in browsers
+                headers: {
+                    ...this.getAuthHeaders()
+                }
+            };
+        }
+    }
+    
+    async search(input, signal, options = {}) {
+        const searchUrl = this.buildSearchUrl(input, options);
+        console.log('Making API request to:', searchUrl);
+        
+        const response = await fetch(searchUrl, {
+            ...this.buildRequestOptions(input),
+            signal
+        });
+        
+        if (!response.ok) {
+            throw new Error(`API request failed: ${response.status} ${response.statusText}`);
+        }
+        
+        const data = await response.json();
+        console.log('API response:', data);
+        
+        if (data.error) {
+            throw new Error(data.error);
+        }
+        
+        return data.result || [];
+    }
+    
+    normalizeResult(raw) {
+        // anilist is an ID, or the full media object when anilistInfo was requested
+        const media = typeof raw.anilist === 'object' && raw.anilist ? raw.anilist : null;
+        
+        return {
+            provider: this.id,
+            anilistId: media ? media.id : (raw.anilist || null),
+            title: media && media.title ? { ...media.title } : null,
+            synonyms: media && Array.isArray(media.synonyms) ? media.synonyms.slice() : [],
+            isAdult: media && typeof media.isAdult === 'boolean' ? media.isAdult : null,
+            filename: raw.filename || null,
+            episode: raw.episode !== undefined ? raw.episode : null,
+            from: raw.from,
+            to: raw.to,
+            similarity: raw.similarity || 0,
+            image: raw.image || null,
+            video: raw.video || null
+        };
+    }
+}
+
+/**
+ * Looks up UI strings in a set of locale catalogues (see i18n.js), falling back to English.
+ * Plural messages are { one, other, ... } objects picked with Intl.PluralRules on params.count.
+ */
+class Translator {
+    constructor(catalogues, fallbackLocale = 'en') {
+        this.catalogues = catalogues;
+        this.fallbackLocale = fallbackLocale;
+        this.setLocale(fallbackLocale);
+    }
+    
+    has(key) {
+        return key in this.catalogues[this.fallbackLocale];
+    }
+    
+    setLocale(locale) {
+        this.locale = this.catalogues[locale] ? locale : this.fallbackLocale;
+        this.pluralRules = new Intl.PluralRules(this.locale);
+        this.numberFormat = new Intl.NumberFormat(this.locale);
+        this.relativeTimeFormat = new Intl.RelativeTimeFormat(this.locale, { numeric: 'auto' });
+    }
+    
+    /**
+     * First supported locale among BCP 47 tags like navigator.languages ("es-MX" matches "es")
+     */
+    resolveLocale(requested = []) {
+        for (const tag of requested) {
+            const language = String(tag).toLowerCase().split('-')[0];
+            if (this.catalogues[language]) return language;
+        }
+        return this.fallbackLocale;
+    }
+    
+    /**
+     * Translate a message ID. Numbers in params are formatted for the locale;
+     * placeholders without a param are left as typed.
+     */
+    t(key, params = {}) {
+        let message = this.catalogues[this.locale][key];
+        if (message === undefined) message = this.catalogues[this.fallbackLocale][key];
+        if (message === undefined) {
+            console.warn(`Missing translation: ${key}`);
+            return key;
+        }
+        
+        if (typeof message === 'object') {
+            message = message[this.pluralRules.select(params.count)] || message.other;
+        }
+        
+        return message.replace(/\{(\w+)\}/g, (match, name) => {
+            if (!(name in params)) return match;
+            const value = params[name];
+            return typeof value === 'number' ? this.numberFormat.format(value) : String(value);
+        });
+    }
+    
+    /**
+     * "5 minutes ago", "hace 5 minutos", "5 分前"; dates older than a week are shown in full
+     */
+    formatRelativeTime(date) {
+        const seconds = (new Date(date).getTime() - Date.now()) / 1000;
+        const units = [['minute', 60], ['hour', 3600], ['day', 86400]];
+        
+        if (Math.abs(seconds) < 60) {
+            return this.relativeTimeFormat.format(0, 'second');
+        }
+        if (Math.abs(seconds) >= 7 * 86400) {
+            return new Date(date).toLocaleDateString(this.locale);
+        }
+        
+        const [unit, size] = units.filter(([, unitSeconds]) => Math.abs(seconds) >= unitSeconds).pop();
+        return this.relativeTimeFormat.format(Math.trunc(seconds / size), unit);
+    }
+    
+    /**
+     * Fill in static markup: data-i18n sets text, data-i18n-html sets trusted catalogue HTML,
+     * data-i18n-attr="placeholder:key,title:key" sets attributes
+     */
+    translateDocument(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-html]').forEach(element => {
+            element.innerHTML = this.t(element.dataset.i18nHtml);
+        });
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(',').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+}
+
 class AnimeSauceFinder {
     constructor() {
         // Core DOM Elements - with proper null checks
@@ -35,18 +357,95 @@ class AnimeSauceFinder {
         this.imageFormat = document.getElementById('imageFormat');
         this.uploadProgress = document.getElementById('uploadProgress');
         this.progressBar = document.getElementById('progressBar');
+        this.borderTrimBar = document.getElementById('borderTrimBar');
+        this.borderTrimText = document.getElementById('borderTrimText');
+        
+        // Batch Elements
+        this.batchSection = document.getElementById('batchSection');
+        this.batchList = document.getElementById('batchList');
+        this.batchSummary = document.getElementById('batchSummary');
+        this.cancelBatchBtn = document.getElementById('cancelBatchBtn');
+        this.clearBatchBtn = document.getElementById('clearBatchBtn');
+        
+        // Video Elements
+        this.videoSection = document.getElementById('videoSection');
+        this.videoPreview = document.getElementById('videoPreview');
+        this.captureFrameBtn = document.getElementById('captureFrameBtn');
+        this.sampleFramesBtn = document.getElementById('sampleFramesBtn');
+        this.sampleCountInput = document.getElementById('sampleCountInput');
+        this.removeVideoBtn = document.getElementById('removeVideoBtn');
+        this.frameList = document.getElementById('frameList');
         
         // Modal Elements
         this.historyPanel = document.getElementById('historyPanel');
         this.historyContent = document.getElementById('historyContent');
+        this.sharedResultSection = document.getElementById('sharedResultSection');
+        this.sharedResultContent = document.getElementById('sharedResultContent');
+        this.closeSharedResultBtn = document.getElementById('closeSharedResultBtn');
+        this.historySearchInput = document.getElementById('historySearchInput');
+        this.historyTypeFilter = document.getElementById('historyTypeFilter');
+        this.historySortSelect = document.getElementById('historySort');
+        this.historyFromDate = document.getElementById('historyFromDate');
+        this.historyToDate = document.getElementById('historyToDate');
+        this.historyHasResultsFilter = document.getElementById('historyHasResultsFilter');
+        this.exportJsonBtn = document.getElementById('exportJsonBtn');
+        this.exportCsvBtn = document.getElementById('exportCsvBtn');
+        this.importHistoryBtn = document.getElementById('importHistoryBtn');
+        this.historyImportInput = document.getElementById('historyImportInput');
         this.closeHistoryBtn = document.getElementById('closeHistoryBtn');
         this.clearHistoryBtn = document.getElementById('clearHistoryBtn');
         this.fullscreenModal = document.getElementById('fullscreenModal');
         this.fullscreenImage = document.getElementById('fullscreenImage');
         this.fullscreenBtn = document.getElementById('fullscreenBtn');
         this.fullscreenClose = document.getElementById('fullscreenClose');
+        this.fullscreenCropBtn = document.getElementById('fullscreenCropBtn');
+        
+        // Compare view elements
+        this.compareView = document.getElementById('compareView');
+        this.compareCanvas = document.getElementById('compareCanvas');
+        this.compareSlider = document.getElementById('compareSlider');
+        this.compareSliderLabel = document.getElementById('compareSliderLabel');
+        this.compareCaption = document.getElementById('compareCaption');
+        this.compareModeButtons = document.querySelectorAll('.compare-mode-btn');
+        
+        // Clip player elements
+        this.clipModal = document.getElementById('clipModal');
+        this.clipVideo = document.getElementById('clipVideo');
+        this.clipTitle = document.getElementById('clipTitle');
+        this.clipTime = document.getElementById('clipTime');
+        this.clipClose = document.getElementById('clipClose');
+        this.clipPlayBtn = document.getElementById('clipPlayBtn');
+        this.clipMuteBtn = document.getElementById('clipMuteBtn');
+        this.clipLoopBtn = document.getElementById('clipLoopBtn');
+        this.clipSpeedSelect = document.getElementById('clipSpeedSelect');
+        this.clipPrevFrameBtn = document.getElementById('clipPrevFrameBtn');
+        this.clipNextFrameBtn = document.getElementById('clipNextFrameBtn');
+        this.cropBtn = document.getElementById('cropBtn');
         this.helpModal = document.getElementById('helpModal');
         this.aboutModal = document.getElementById('aboutModal');
+        this.settingsModal = document.getElementById('settingsModal');
+        this.settingsBtn = document.getElementById('settingsBtn');
+        this.closeSettingsBtn = document.getElementById('closeSettingsBtn');
+        this.settingsForm = document.getElementById('settingsForm');
+        this.apiBaseUrlInput = document.getElementById('apiBaseUrlInput');
+        this.apiKeyInput = document.getElementById('apiKeyInput');
+        this.anilistEndpointInput = document.getElementById('anilistEndpointInput');
+        this.autoSearchSharedInput = document.getElementById('autoSearchSharedInput');
+        this.adultContentInput = document.getElementById('adultContentInput');
+        this.languageInput = document.getElementById('languageInput');
+        this.copyTemplateInputs = document.querySelectorAll('[data-copy-template]');
+        this.testApiBtn = document.getElementById('testApiBtn');
+        this.apiTestResult = document.getElementById('apiTestResult');
+        this.resetSettingsBtn = document.getElementById('resetSettingsBtn');
+        
+        // Advanced Search Options
+        this.cutBordersOption = document.getElementById('cutBordersOption');
+        this.anilistInfoOption = document.getElementById('anilistInfoOption');
+        this.anilistIdOption = document.getElementById('anilistIdOption');
+        this.minSimilarityOption = document.getElementById('minSimilarityOption');
+        this.minSimilarityValue = document.getElementById('minSimilarityValue');
+        this.maxResultsOption = document.getElementById('maxResultsOption');
+        this.hideBelowMediumOption = document.getElementById('hideBelowMediumOption');
         this.helpBtn = document.getElementById('helpBtn');
         this.aboutBtn = document.getElementById('aboutBtn');
         this.closeHelpBtn = document.getElementById('closeHelpBtn');
@@ -55,31 +454,121 @@ class AnimeSauceFinder {
         // Stats Elements
         this.appStats = document.getElementById('appStats');
         this.totalSearches = document.getElementById('totalSearches');
+        this.offlineBanner = document.getElementById('offlineBanner');
+        this.quotaStat = document.getElementById('quotaStat');
+        this.quotaRemaining = document.getElementById('quotaRemaining');
+        this.priorityStat = document.getElementById('priorityStat');
+        this.quotaPriority = document.getElementById('quotaPriority');
         
         // Application State
         this.currentFile = null;
         this.currentFileMetadata = null;
         this.isSearching = false;
-        this.searchHistory = this.loadSearchHistory();
+        this.historyCount = 0;
+        this.lastHistoryId = 0;
+        this.historyRendered = 0;
+        this.historyRenderId = 0;
+        this.HISTORY_PAGE_SIZE = 20;
+        this.HISTORY_EVICT_BATCH = 10; // Oldest entries dropped per retry when storage is full
+        this.HISTORY_STORAGE_KEY = 'animeSauceFinder_history';
+        this.HISTORY_EXPORT_FORMAT = 'mrsauce-history';
+        this.HISTORY_EXPORT_VERSION = 1;
         this.searchCache = new Map();
+        this.preparedUploads = new WeakMap();
+        this.SCENE_MERGE_GAP = 2; // seconds between matches that still count as one scene
+        this.LOW_SIMILARITY_WARNING = 0.9; // trace.moe: matches below 90% are usually wrong
+        this.CONFIDENCE_BANDS = [ // labels are the confidence.<level> messages
+            { level: 'excellent', min: 90, class: 'high' },
+            { level: 'high', min: 75, class: 'high' },
+            { level: 'medium', min: 60, class: 'medium' },
+            { level: 'low', min: 40, class: 'medium' },
+            { level: 'very-low', min: 0, class: 'low' }
+        ];
+        this.CLIP_FRAME_DURATION = 1 / 24; // trace.moe clips are cut from ~24fps sources
+        this.compareState = null;
+        this.clipMuted = true;
+        this.clipLoop = true;
+        this.animeDetailsCache = new Map();
+        this.historyThumbnailUrls = [];
+        this.anilistClient = new AniListClient();
+        this.i18n = new Translator(I18N_MESSAGES);
+        this.releaseNameParser = new ReleaseNameParser();
+        this.releaseNameCache = new Map();
+        this.db = null;
+        this.dbReady = Promise.resolve(null);
+        this.processingOfflineQueue = false;
         this.abortController = null;
+        this.batchQueue = [];
+        this.currentVideo = null;
+        this.videoFrames = [];
+        this.cropState = null;
+        this.borderAnalysis = null;
+        this.borderTrim = null;
         
-        // API Configuration
-        this.API_BASE_URL = 'https://api.trace.moe';
-        this.API_ENDPOINTS = {
-            search: '/search',
-            image: '/image',
-            video: '/video'
+        // User Preferences
+        this.DEFAULT_PREFERENCES = {
+            apiBaseUrl: '', // Empty uses the provider's public endpoint
+            apiKey: '',
+            anilistEndpoint: '', // Empty uses graphql.anilist.co
+            autoSearchShared: false,
+            language: 'auto', // 'auto' follows the browser, otherwise a locale from i18n.js
+            adultContent: 'show', // 'show', 'blur' until clicked, or 'hide'
+            // Placeholders: {title} {episode} {timestamp} {similarity} {anilistUrl} {shareLink}
+            copyTemplates: {
+                markdown: '**{title}** — {episode}, {timestamp} ({similarity}% match)\n[AniList]({anilistUrl})',
+                bbcode: '[b]{title}[/b] — {episode}, {timestamp} ({similarity}% match)\n[url={anilistUrl}]AniList[/url]',
+                plain: '{title} — {episode}, {timestamp} ({similarity}% match) {anilistUrl}',
+                // Angle brackets stop Discord from embedding the link
+                discord: '**{title}** • {episode} • `{timestamp}` • {similarity}% • <{anilistUrl}>'
+            },
+            resultFilters: {
+                minSimilarity: 10, // percent
+                maxResults: 10, // shows, after grouping
+                hideBelowMedium: false
+            },
+            searchOptions: {
+                cutBorders: true,
+                anilistInfo: true,
+                anilistId: null
+            }
         };
+        this.preferences = { ...this.DEFAULT_PREFERENCES };
+        this.accountInfo = null;
+        this.quotaRequest = null;
+        this.quotaFollowUp = null;
+        
+        // Search Providers
+        this.searchProviders = new Map();
+        this.registerSearchProvider(new TraceMoeProvider());
+        this.activeProviderId = 'tracemoe';
         
             // Performance Configuration
     this.CACHE_EXPIRY = 3600000; // 1 hour
+    this.PERSISTENT_CACHE_EXPIRY = 7 * 24 * 3600000; // 1 week in IndexedDB
+    this.PERSISTENT_CACHE_MAX_ENTRIES = 500;
+    this.SHARE_CACHE = 'mrsauce-share'; // Written by the service worker's share target
+    this.SHARED_FILE_KEY = './shared-file';
+    this.DB_NAME = 'AnimeSauceFinder';
+    this.DB_VERSION = 6;
+    this.HISTORY_THUMBNAIL_SIZE = 320; // Originals are not kept, so re-running a file search uses this
+    this.ANILIST_CACHE_EXPIRY = 7 * 24 * 3600000; // AniList metadata rarely changes
     this.MAX_FILE_SIZE = 25 * 1024 * 1024; // 25MB (increased for better quality)
     this.SUPPORTED_FORMATS = [
         'image/jpeg', 'image/jpg', 'image/png', 
         'image/gif', 'image/webp', 'image/bmp', 'image/avif'
     ];
     this.IMAGE_QUALITY_THRESHOLD = 0.8; // Minimum quality for better results
+    this.UPLOAD_MAX_DIMENSION = 640; // trace.moe compares frames at a far lower resolution than this
+    this.UPLOAD_REENCODE_SIZE = 1024 * 1024; // Re-encode images above 1MB even if they are small enough
+    this.UPLOAD_QUALITY = 0.9;
+    this.BORDER_TOLERANCE = 24; // Max per-channel deviation for a pixel to count as border
+    this.MIN_BORDER_RATIO = 0.02; // Ignore borders thinner than 2% of the image side
+    this.MAX_BORDER_RATIO = 0.4; // Never trim more than 40% from one side
+    this.BATCH_CONCURRENCY = 2; // Parallel requests while processing a batch
+    this.SUPPORTED_VIDEO_FORMATS = ['video/mp4', 'video/webm'];
+    this.MAX_VIDEO_SIZE = 200 * 1024 * 1024; // 200MB - only extracted frames are uploaded
+    this.MAX_VIDEO_FRAMES = 12;
+    this.DEFAULT_SAMPLE_FRAMES = 5;
         
         // Feature Detection
         this.features = {
@@ -119,19 +608,24 @@ class AnimeSauceFinder {
             this.loadUserPreferences();
             this.updateSearchButtonState();
             this.updateStats();
+            this.refreshQuota();
             this.preloadCriticalResources();
             this.setupIntersectionObserver();
             this.setupAdvancedCaching();
             this.initializePerformanceMonitoring();
-            this.showStatus('🚀 Ready to find anime sources! Upload an image to get started.', 'info');
+            this.updateOfflineBanner();
+            this.processOfflineQueue();
+            this.showStatus(this.t('status.ready'), 'info');
+            this.handleShareTarget();
+            this.handleDeepLink();
             
             // Performance logging
             if (this.features.performance) {
                 console.log(`App initialized in ${(performance.now() - this.metrics.startTime).toFixed(2)}ms`);
             }
         } catch (error) {
-            this.handleError(error, 'Failed to initialize application');
-            this.showStatus('⚠️ App initialization failed. Please refresh the page.', 'error');
+            this.handleError(error, this.t('error.context.init'));
+            this.showStatus(this.t('status.initFailed'), 'error');
         }
     }
     
@@ -213,10 +707,142 @@ class AnimeSauceFinder {
         if (this.removeBtn) {
             this.removeBtn.addEventListener('click', () => this.removeImage());
         }
+        if (this.borderTrimBar) {
+            this.borderTrimBar.addEventListener('click', (e) => {
+                const toggle = e.target.closest('[data-version]');
+                if (toggle) this.selectBorderTrimVersion(toggle.dataset.version);
+            });
+        }
         if (this.historyBtn) {
             this.historyBtn.addEventListener('click', () => this.toggleHistory());
         }
         
+        // Result card actions
+        if (this.resultsContainer) {
+            this.resultsContainer.addEventListener('click', (e) => {
+                const clipLink = e.target.closest('.clip-link');
+                // Modified clicks still open the clip in a new tab
+                if (clipLink && !e.ctrlKey && !e.metaKey && !e.shiftKey && e.button === 0) {
+                    e.preventDefault();
+                    this.openClip(this.displayedResults[Number(clipLink.dataset.resultIndex)]);
+                }
+                
+                const copyOption = e.target.closest('[data-copy-format]');
+                const copyMenu = copyOption && copyOption.closest('.copy-menu');
+                if (copyMenu) {
+                    copyMenu.open = false;
+                    this.copyResult(this.displayedResults[Number(copyMenu.dataset.resultIndex)], copyOption.dataset.copyFormat);
+                }
+                
+                const shareBtn = e.target.closest('.share-result');
+                if (shareBtn) this.shareResult(this.displayedResults[Number(shareBtn.dataset.resultIndex)]);
+                
+                const compareBtn = e.target.closest('.compare-toggle');
+                if (compareBtn) this.openCompare(this.displayedResults[Number(compareBtn.dataset.resultIndex)]);
+                
+                const detailsToggle = e.target.closest('.details-toggle');
+                if (detailsToggle) this.toggleResultDetails(detailsToggle);
+                
+                const adultCover = e.target.closest('.adult-blur');
+                if (adultCover) this.revealAdultContent(adultCover, e);
+            });
+        }
+        
+        // Shared result view
+        if (this.sharedResultContent) {
+            this.sharedResultContent.addEventListener('click', (e) => {
+                const adultCover = e.target.closest('.adult-blur');
+                if (adultCover) this.revealAdultContent(adultCover, e);
+            });
+        }
+        if (this.closeSharedResultBtn) {
+            this.closeSharedResultBtn.addEventListener('click', () => this.closeSharedResult());
+        }
+        
+        if (this.historySearchInput) {
+            this.historySearchInput.addEventListener('input', () => {
+                clearTimeout(this.historySearchTimer);
+                this.historySearchTimer = setTimeout(() => this.renderHistory(), 200);
+            });
+        }
+        [this.historyTypeFilter, this.historySortSelect, this.historyFromDate, this.historyToDate, this.historyHasResultsFilter]
+            .forEach(control => {
+                if (control) {
+                    control.addEventListener('change', () => this.renderHistory());
+                }
+            });
+        if (this.historyContent) {
+            this.historyContent.addEventListener('click', (e) => {
+                const adultTitle = e.target.closest('.adult-blur');
+                if (adultTitle) {
+                    this.revealAdultContent(adultTitle, e);
+                    return;
+                }
+                
+                if (e.target.closest('.history-load-more')) {
+                    this.renderHistory(true);
+                    return;
+                }
+                
+                const itemEl = e.target.closest('.history-item[data-id]');
+                if (!itemEl) return;
+                const actionEl = e.target.closest('[data-history-action]');
+                if (actionEl && actionEl.dataset.historyAction === 'rerun') {
+                    this.rerunHistoryEntry(Number(itemEl.dataset.id));
+                } else {
+                    this.restoreHistoryEntry(Number(itemEl.dataset.id));
+                }
+            });
+            this.historyContent.addEventListener('keydown', (e) => {
+                const itemEl = e.target.closest('.history-item[data-id]');
+                if (itemEl && e.target === itemEl && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.restoreHistoryEntry(Number(itemEl.dataset.id));
+                }
+            });
+        }
+        
+        // Video frame extraction
+        if (this.captureFrameBtn) {
+            this.captureFrameBtn.addEventListener('click', () => this.addCurrentVideoFrame());
+        }
+        if (this.sampleFramesBtn) {
+            this.sampleFramesBtn.addEventListener('click', () => this.sampleVideoFrames());
+        }
+        if (this.removeVideoBtn) {
+            this.removeVideoBtn.addEventListener('click', () => {
+                this.clearVideo();
+                this.showStatus(this.t('status.videoRemoved'), 'info');
+            });
+        }
+        if (this.frameList) {
+            this.frameList.addEventListener('click', (e) => {
+                const removeEl = e.target.closest('.frame-remove');
+                if (removeEl) this.removeVideoFrame(Number(removeEl.dataset.id));
+            });
+        }
+        
+        // Batch queue
+        if (this.cancelBatchBtn) {
+            this.cancelBatchBtn.addEventListener('click', () => this.abortCurrentSearch());
+        }
+        if (this.clearBatchBtn) {
+            this.clearBatchBtn.addEventListener('click', () => this.clearBatch());
+        }
+        if (this.batchList) {
+            this.batchList.addEventListener('click', (e) => {
+                const itemEl = e.target.closest('.batch-item');
+                if (itemEl) this.showBatchItemResults(Number(itemEl.dataset.id));
+            });
+            this.batchList.addEventListener('keydown', (e) => {
+                const itemEl = e.target.closest('.batch-item');
+                if (itemEl && (e.key === 'Enter' || e.key === ' ')) {
+                    e.preventDefault();
+                    this.showBatchItemResults(Number(itemEl.dataset.id));
+                }
+            });
+        }
+        
         // Preview functionality
         if (this.fullscreenBtn) {
             this.fullscreenBtn.addEventListener('click', () => this.openFullscreen());
@@ -224,12 +850,92 @@ class AnimeSauceFinder {
         if (this.fullscreenClose) {
             this.fullscreenClose.addEventListener('click', () => this.closeFullscreen());
         }
+        if (this.cropBtn) {
+            this.cropBtn.addEventListener('click', () => {
+                this.startCrop(this.previewImage, this.previewImage && this.previewImage.parentElement);
+            });
+        }
+        if (this.fullscreenCropBtn) {
+            this.fullscreenCropBtn.addEventListener('click', () => {
+                this.startCrop(this.fullscreenImage, this.fullscreenImage && this.fullscreenImage.parentElement);
+            });
+        }
         if (this.fullscreenModal) {
             this.fullscreenModal.addEventListener('click', (e) => {
                 if (e.target === this.fullscreenModal) this.closeFullscreen();
             });
         }
         
+        // Compare view
+        this.compareModeButtons.forEach(button => {
+            button.addEventListener('click', () => this.setCompareMode(button.dataset.mode));
+        });
+        if (this.compareSlider) {
+            this.compareSlider.addEventListener('input', () => this.renderCompare());
+        }
+        if (this.compareCanvas) {
+            // Drag across the canvas to move the swipe divider
+            this.compareCanvas.addEventListener('pointerdown', (e) => {
+                if (this.compareCanvas.classList.contains('adult-blur-media')) {
+                    this.setAdultMediaBlur(this.compareCanvas, false);
+                    return;
+                }
+                if (!this.compareState || this.compareState.mode !== 'swipe') return;
+                this.compareCanvas.setPointerCapture(e.pointerId);
+                this.moveCompareDivider(e);
+            });
+            this.compareCanvas.addEventListener('pointermove', (e) => {
+                if (this.compareCanvas.hasPointerCapture(e.pointerId)) this.moveCompareDivider(e);
+            });
+        }
+        
+        // Clip player
+        if (this.clipClose) {
+            this.clipClose.addEventListener('click', () => this.closeClip());
+        }
+        if (this.clipModal) {
+            this.clipModal.addEventListener('click', (e) => {
+                if (e.target === this.clipModal) this.closeClip();
+            });
+        }
+        if (this.clipPlayBtn) {
+            this.clipPlayBtn.addEventListener('click', () => this.toggleClipPlayback());
+        }
+        if (this.clipMuteBtn) {
+            this.clipMuteBtn.addEventListener('click', () => this.setClipMuted(!this.clipMuted));
+        }
+        if (this.clipLoopBtn) {
+            this.clipLoopBtn.addEventListener('click', () => this.setClipLoop(!this.clipLoop));
+        }
+        if (this.clipSpeedSelect) {
+            this.clipSpeedSelect.addEventListener('change', () => {
+                if (this.clipVideo) this.clipVideo.playbackRate = Number(this.clipSpeedSelect.value);
+            });
+        }
+        if (this.clipPrevFrameBtn) {
+            this.clipPrevFrameBtn.addEventListener('click', () => this.stepClipFrame(-1));
+        }
+        if (this.clipNextFrameBtn) {
+            this.clipNextFrameBtn.addEventListener('click', () => this.stepClipFrame(1));
+        }
+        if (this.clipVideo) {
+            ['play', 'pause'].forEach(type => {
+                this.clipVideo.addEventListener(type, () => this.updateClipControls());
+            });
+            this.clipVideo.addEventListener('timeupdate', () => this.updateClipTime());
+            this.clipVideo.addEventListener('click', () => {
+                if (this.clipVideo.classList.contains('adult-blur-media')) {
+                    this.setAdultMediaBlur(this.clipVideo, false);
+                }
+            });
+            this.clipVideo.addEventListener('seeked', () => this.updateClipTime());
+            this.clipVideo.addEventListener('error', () => {
+                if (this.clipVideo.getAttribute('src')) {
+                    this.showStatus(this.t('status.clipFailed'), 'error');
+                }
+            });
+        }
+        
         // History panel
         if (this.closeHistoryBtn) {
             this.closeHistoryBtn.addEventListener('click', () => this.closeHistory());
@@ -237,6 +943,20 @@ class AnimeSauceFinder {
         if (this.clearHistoryBtn) {
             this.clearHistoryBtn.addEventListener('click', () => this.clearHistory());
         }
+        if (this.exportJsonBtn) {
+            this.exportJsonBtn.addEventListener('click', () => this.exportHistory('json'));
+        }
+        if (this.exportCsvBtn) {
+            this.exportCsvBtn.addEventListener('click', () => this.exportHistory('csv'));
+        }
+        if (this.importHistoryBtn && this.historyImportInput) {
+            this.importHistoryBtn.addEventListener('click', () => this.historyImportInput.click());
+            this.historyImportInput.addEventListener('change', () => {
+                const file = this.historyImportInput.files[0];
+                this.historyImportInput.value = '';
+                if (file) this.importHistory(file);
+            });
+        }
         
         // Modal functionality
         if (this.helpBtn) {
@@ -252,6 +972,40 @@ class AnimeSauceFinder {
             this.closeAboutBtn.addEventListener('click', () => this.closeModal('about'));
         }
         
+        // Advanced search options
+        [this.cutBordersOption, this.anilistInfoOption, this.anilistIdOption].forEach(control => {
+            if (control) {
+                control.addEventListener('change', () => this.saveSearchOptions());
+            }
+        });
+        
+        // Result filters re-render the current results as they change
+        [this.minSimilarityOption, this.maxResultsOption, this.hideBelowMediumOption].forEach(control => {
+            if (control) {
+                control.addEventListener('input', () => this.saveResultFilters());
+            }
+        });
+        
+        // Settings
+        if (this.settingsBtn) {
+            this.settingsBtn.addEventListener('click', () => this.openSettings());
+        }
+        if (this.closeSettingsBtn) {
+            this.closeSettingsBtn.addEventListener('click', () => this.closeModal('settings'));
+        }
+        if (this.settingsForm) {
+            this.settingsForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.saveSettings();
+            });
+        }
+        if (this.testApiBtn) {
+            this.testApiBtn.addEventListener('click', () => this.testApiConnection());
+        }
+        if (this.resetSettingsBtn) {
+            this.resetSettingsBtn.addEventListener('click', () => this.resetSettings());
+        }
+        
         // Global event listeners
         document.addEventListener('dragover', (e) => e.preventDefault());
         document.addEventListener('drop', (e) => e.preventDefault());
@@ -270,15 +1024,47 @@ class AnimeSauceFinder {
      * Handle global keyboard shortcuts
      */
     handleGlobalKeydown(event) {
-        if (event.key === 'Escape') {
-            if (this.fullscreenModal && this.fullscreenModal.classList.contains('show')) {
-                this.closeFullscreen();
-            } else if (this.historyPanel && this.historyPanel.classList.contains('show')) {
-                this.closeHistory();
+        if (this.cropState) {
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                this.cancelCrop();
+                return;
+            }
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                this.applyCrop();
+                return;
+            }
+        }
+        
+        if (this.clipModal && this.clipModal.classList.contains('show')) {
+            const clipKeys = {
+                ' ': () => this.toggleClipPlayback(),
+                ',': () => this.stepClipFrame(-1),
+                '.': () => this.stepClipFrame(1),
+                'm': () => this.setClipMuted(!this.clipMuted)
+            };
+            const isFormControl = event.target && ['SELECT', 'BUTTON'].includes(event.target.tagName);
+            if (clipKeys[event.key] && !(isFormControl && event.key === ' ')) {
+                event.preventDefault();
+                clipKeys[event.key]();
+                return;
+            }
+        }
+        
+        if (event.key === 'Escape') {
+            if (this.clipModal && this.clipModal.classList.contains('show')) {
+                this.closeClip();
+            } else if (this.fullscreenModal && this.fullscreenModal.classList.contains('show')) {
+                this.closeFullscreen();
+            } else if (this.historyPanel && this.historyPanel.classList.contains('show')) {
+                this.closeHistory();
             } else if (this.helpModal && this.helpModal.classList.contains('show')) {
                 this.closeModal('help');
             } else if (this.aboutModal && this.aboutModal.classList.contains('show')) {
                 this.closeModal('about');
+            } else if (this.settingsModal && this.settingsModal.classList.contains('show')) {
+                this.closeModal('settings');
             }
         }
         
@@ -308,9 +1094,8 @@ class AnimeSauceFinder {
     handleBeforeUnload(event) {
         if (this.isSearching) {
             event.preventDefault();
-            event.returnValue = 'A search is currently in progress. Are you sure you want to leave?';
+            event.returnValue = this.t('confirm.leave');
         }
-        this.saveSearchHistory();
     }
     
     /**
@@ -318,10 +1103,438 @@ class AnimeSauceFinder {
      */
     handleNetworkChange(isOnline) {
         if (isOnline) {
-            this.showStatus('🌐 Connection restored!', 'success');
+            this.showStatus(this.t('status.online'), 'success');
+            this.processOfflineQueue();
+        } else {
+            this.showStatus(this.t('status.offline'), 'error');
+        }
+        this.updateOfflineBanner();
+    }
+    
+    /**
+     * Offline queue: searches made without a connection are stored in IndexedDB
+     * and run automatically once the browser is back online. Input is a URL, a file, or
+     * { type: 'frames', files, name } for the captured frames of a video.
+     * Batches pass announce = false and report once for all their items; resolves to whether the search was queued.
+     */
+    async queueOfflineSearch(input, options, announce = true) {
+        const db = await this.dbReady;
+        if (!db) {
+            this.showStatus(this.t('status.cannotQueue'), 'error');
+            return false;
+        }
+        
+        const entry = {
+            type: input.type,
+            url: input.type === 'url' ? input.url : null,
+            file: input.type === 'file' ? input.file : null,
+            files: input.type === 'frames' ? input.files : null,
+            name: input.type === 'url' ? input.url : (input.type === 'frames' ? input.name : input.file.name),
+            options: options,
+            queuedAt: Date.now()
+        };
+        
+        try {
+            const store = db.transaction('offlineQueue', 'readwrite').objectStore('offlineQueue');
+            await this.idbRequest(store.add(entry));
+        } catch (error) {
+            this.handleError(error, this.t('error.context.queue'));
+            return false;
+        }
+        
+        // Ask now, while we still have the user's click to justify the prompt
+        if ('Notification' in window && Notification.permission === 'default') {
+            Notification.requestPermission().catch(() => {});
+        }
+        
+        this.updateOfflineBanner();
+        if (announce) {
+            this.showStatus(this.t('status.searchQueued'), 'info');
+        }
+        return true;
+    }
+    
+    async getOfflineQueue() {
+        const db = await this.dbReady;
+        if (!db) return [];
+        
+        try {
+            const store = db.transaction('offlineQueue').objectStore('offlineQueue');
+            return await this.idbRequest(store.getAll());
+        } catch (error) {
+            console.warn('Failed to read offline queue:', error);
+            return [];
+        }
+    }
+    
+    async removeFromOfflineQueue(id) {
+        const db = await this.dbReady;
+        if (!db) return;
+        
+        const store = db.transaction('offlineQueue', 'readwrite').objectStore('offlineQueue');
+        await this.idbRequest(store.delete(id));
+    }
+    
+    /**
+     * Run every queued search in order; stops early if the connection drops again
+     */
+    async processOfflineQueue() {
+        if (this.processingOfflineQueue || !navigator.onLine) return;
+        
+        const entries = await this.getOfflineQueue();
+        if (entries.length === 0) return;
+        
+        this.processingOfflineQueue = true;
+        this.showStatus(this.t('status.runningQueue', { count: entries.length }), 'info');
+        
+        try {
+            for (const entry of entries) {
+                const input = entry.type === 'url'
+                    ? { type: 'url', url: entry.url }
+                    : { type: 'file', file: entry.file };
+                
+                try {
+                    const results = entry.type === 'frames'
+                        ? await this.searchQueuedFrames(entry)
+                        : await this.performSearch(input, entry.options);
+                    await this.removeFromOfflineQueue(entry.id);
+                    this.addToHistory(this.getQueuedHistoryInput(entry), results);
+                    this.notifyQueuedResult(entry, results);
+                } catch (error) {
+                    // Lost connection or a cancelled search: keep the entry for the next run
+                    if (error.name === 'OfflineError' || error.name === 'AbortError') break;
+                    
+                    // Anything else (bad image, quota) won't fix itself by retrying later
+                    console.warn('Queued search failed:', error);
+                    await this.removeFromOfflineQueue(entry.id);
+                    this.showStatus(this.t('status.queuedFailed', { name: entry.name, reason: this.getErrorMessage(error) }), 'error');
+                }
+                
+                this.updateOfflineBanner();
+            }
+        } finally {
+            this.processingOfflineQueue = false;
+            this.updateOfflineBanner();
+        }
+    }
+    
+    /**
+     * Search the frames of a queued video one after another and merge them like a live search.
+     * Frames finished before an interruption come from the search cache on the next run.
+     */
+    async searchQueuedFrames(entry) {
+        const frameResults = [];
+        for (const file of entry.files) {
+            frameResults.push(await this.performSearch({ type: 'file', file }, entry.options));
+        }
+        return this.combineFrameResults(frameResults);
+    }
+    
+    /**
+     * What addToHistory records for a queued search. The video itself isn't kept,
+     * so its first frame stands in under the video's name.
+     */
+    getQueuedHistoryInput(entry) {
+        if (entry.type === 'url') return entry.url;
+        if (entry.type === 'frames') {
+            return new File([entry.files[0]], entry.name, { type: entry.files[0].type });
+        }
+        return entry.file;
+    }
+    
+    /**
+     * Tell the user a queued search finished, with a system notification when allowed
+     */
+    notifyQueuedResult(entry, results) {
+        const top = results[0];
+        const title = this.t('notify.title', { name: entry.name });
+        const body = top
+            ? `${this.extractAnimeTitle(top)} • ${this.formatResultEpisode(top)} • ${(top.similarity * 100).toFixed(1)}%`
+            : this.t('results.noMatches');
+        
+        this.showStatus(`🔔 ${title} — ${body}`, 'success');
+        
+        if (!('Notification' in window) || Notification.permission !== 'granted') return;
+        
+        const showResults = () => {
+            window.focus();
+            if (results.length > 0) {
+                this.displayResults(results);
+            }
+        };
+        
+        try {
+            const notification = new Notification(title, { body, tag: `queued-${entry.id}` });
+            notification.onclick = () => {
+                showResults();
+                notification.close();
+            };
+        } catch (error) {
+            // Mobile browsers only allow notifications through the service worker
+            if (this.features.serviceWorker) {
+                navigator.serviceWorker.ready
+                    .then(registration => registration.showNotification(title, { body, tag: `queued-${entry.id}` }))
+                    .catch(swError => console.warn('Failed to show notification:', swError));
+            }
+        }
+    }
+    
+    async updateOfflineBanner() {
+        if (!this.offlineBanner) return;
+        
+        const count = (await this.getOfflineQueue()).length;
+        if (count === 0) {
+            this.offlineBanner.classList.remove('show');
+            return;
+        }
+        
+        this.offlineBanner.textContent = this.t(navigator.onLine ? 'offline.waiting' : 'offline.queued', { count });
+        this.offlineBanner.classList.add('show');
+    }
+    
+    /**
+     * Load whatever was shared to the installed app through the OS share sheet
+     */
+    async handleShareTarget() {
+        const params = new URLSearchParams(window.location.search);
+        if (!params.has('share-target')) return;
+        
+        // Drop the parameters so a reload doesn't try to load the share again
+        history.replaceState(null, '', window.location.pathname);
+        
+        let loaded = false;
+        try {
+            const file = await this.takeSharedFile();
+            const sharedUrl = params.get('sharedUrl');
+            
+            if (file && this.isVideoFile(file)) {
+                await this.loadVideo(file);
+                loaded = this.currentVideo !== null;
+            } else if (file) {
+                if (await this.isValidImageFile(file)) {
+                    await this.setCurrentFile(file);
+                    loaded = true;
+                }
+            } else if (sharedUrl && this.isValidUrl(sharedUrl) && this.urlInput) {
+                this.urlInput.value = sharedUrl;
+                this.updateSearchButtonState();
+                loaded = true;
+            } else {
+                this.showStatus(this.t('status.shareEmpty'), 'error');
+            }
+        } catch (error) {
+            this.handleError(error, this.t('error.context.shared'));
+        }
+        
+        if (!loaded) return;
+        
+        if (this.preferences.autoSearchShared) {
+            this.searchAnime();
         } else {
-            this.showStatus('⚠️ No internet connection. Some features may not work.', 'error');
+            this.showStatus(this.t('status.shareReceived'), 'success');
+        }
+    }
+    
+    /**
+     * Deep links: ?url= searches an image URL straight away, ?anime= opens a shared result
+     */
+    handleDeepLink() {
+        const params = new URLSearchParams(window.location.search);
+        
+        if (params.has('anime')) {
+            this.openSharedResult(params);
+            return;
+        }
+        
+        if (!params.has('url')) return;
+        
+        const url = this.normalizeUrl(params.get('url'));
+        if (!url || !this.urlInput) {
+            this.showStatus(this.t('status.deepLinkInvalid'), 'error');
+            return;
+        }
+        
+        this.urlInput.value = url;
+        this.updateSearchButtonState();
+        this.searchAnime();
+    }
+    
+    /**
+     * Link that reopens one result (AniList ID, episode, timestamp) in the read-only view
+     */
+    createResultLink(result) {
+        const params = new URLSearchParams({ anime: String(result.anilistId) });
+        if (result.episode !== null && result.episode !== undefined) {
+            params.set('episode', String(result.episode));
         }
+        if (typeof result.from === 'number') params.set('from', result.from.toFixed(2));
+        if (typeof result.to === 'number') params.set('to', result.to.toFixed(2));
+        params.set('similarity', (result.similarity || 0).toFixed(4));
+        
+        return `${window.location.origin}${window.location.pathname}?${params}`;
+    }
+    
+    async shareResult(result) {
+        if (!result || !result.anilistId) return;
+        
+        const url = this.createResultLink(result);
+        const title = this.extractAnimeTitle(result);
+        const text = `${title} • ${this.formatResultEpisode(result)}`;
+        
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: `${title} - MrSauce`, text, url });
+                return;
+            } catch (error) {
+                // Dismissing the share sheet is not an error
+                if (error.name === 'AbortError') return;
+                console.warn('Web Share failed, copying instead:', error);
+            }
+        }
+        
+        await this.copyToClipboard(url, this.t('status.linkCopied'));
+    }
+    
+    /**
+     * Copy text, falling back to a prompt the user can copy from
+     */
+    async copyToClipboard(text, successMessage) {
+        try {
+            await navigator.clipboard.writeText(text);
+            this.showStatus(successMessage, 'success');
+        } catch (error) {
+            console.warn('Clipboard write failed:', error);
+            window.prompt(this.t('copy.prompt'), text);
+        }
+    }
+    
+    /**
+     * Copy templates, filled in with defaults for any the user left empty
+     */
+    getCopyTemplates() {
+        const templates = { ...this.DEFAULT_PREFERENCES.copyTemplates };
+        Object.entries(this.preferences.copyTemplates || {}).forEach(([format, template]) => {
+            if (template) templates[format] = template;
+        });
+        return templates;
+    }
+    
+    /**
+     * Replace {placeholders} in a copy template with a result's formatted values.
+     * Unknown placeholders are left as typed.
+     */
+    renderCopyTemplate(template, result) {
+        const values = {
+            title: this.extractAnimeTitle(result),
+            episode: this.formatResultEpisode(result),
+            timestamp: this.formatTimestamp(result.from, result.to) || this.t('copy.unknownTime'),
+            similarity: ((result.similarity || 0) * 100).toFixed(1),
+            anilistUrl: result.anilistId ? `https://anilist.co/anime/${result.anilistId}` : '',
+            shareLink: result.anilistId ? this.createResultLink(result) : ''
+        };
+        
+        return template.replace(/\{(\w+)\}/g, (match, key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : match));
+    }
+    
+    async copyResult(result, format) {
+        const template = this.getCopyTemplates()[format];
+        if (!result || !template) return;
+        
+        await this.copyToClipboard(this.renderCopyTemplate(template, result), this.t('status.copiedAs', { format: this.t(`copy.${format}`) }));
+    }
+    
+    /**
+     * Read-only view of a result someone shared
+     */
+    async openSharedResult(params) {
+        if (!this.sharedResultSection || !this.sharedResultContent) return;
+        
+        const anilistId = parseInt(params.get('anime'), 10);
+        if (!Number.isInteger(anilistId) || anilistId <= 0) {
+            this.showStatus(this.t('status.sharedLinkBroken'), 'error');
+            return;
+        }
+        
+        const number = value => (value !== null && value !== '' && Number.isFinite(Number(value)) ? Number(value) : null);
+        const shared = {
+            anilistId,
+            episode: params.get('episode'),
+            from: number(params.get('from')),
+            to: number(params.get('to')),
+            similarity: number(params.get('similarity'))
+        };
+        
+        this.sharedResultContent.innerHTML = `<p class="details-loading">${this.t('shared.loading')}</p>`;
+        this.sharedResultSection.classList.add('show');
+        
+        let media = null;
+        try {
+            media = await this.getAnimeDetails(anilistId);
+        } catch (error) {
+            console.warn('Failed to load AniList details for shared result:', error);
+        }
+        
+        this.sharedResultContent.innerHTML = this.generateSharedResultHTML(shared, media);
+    }
+    
+    generateSharedResultHTML(shared, media) {
+        // Without AniList data the rating is unknown, which hide mode treats as adult
+        const isAdult = media && typeof media.isAdult === 'boolean' ? media.isAdult : null;
+        if (this.isAdultHidden(isAdult)) {
+            return `<p class="adult-hidden-note">${this.t('shared.adultHidden')}</p>`;
+        }
+        
+        const title = media ? this.extractAnimeTitle({ title: media.title, anilistId: shared.anilistId }) : `AniList #${shared.anilistId}`;
+        const timestamp = this.formatTimestamp(shared.from, shared.to);
+        const cover = media && media.coverImage && (media.coverImage.large || media.coverImage.medium);
+        const similarity = shared.similarity !== null ? (shared.similarity * 100).toFixed(1) : null;
+        
+        return `
+            <div class="shared-result">
+                ${cover ? `
+                    <div class="shared-result-cover ${this.shouldBlurAdult(isAdult) ? 'adult-blur' : ''}">
+                        <img src="${this.escapeHtml(cover)}" alt="${this.escapeHtml(this.t('details.coverAlt', { title }))}" loading="lazy">
+                    </div>
+                ` : ''}
+                <div class="result-info">
+                    <h4>${this.escapeHtml(title)}</h4>
+                    <div class="result-episode">${this.escapeHtml(this.formatEpisode(shared.episode))}</div>
+                    ${timestamp ? `<div class="result-timestamp">⏰ ${timestamp}</div>` : ''}
+                    ${similarity ? `<div class="result-frames">${this.t('shared.similarity', { similarity })}</div>` : ''}
+                    <div class="result-actions">
+                        <a href="https://anilist.co/anime/${shared.anilistId}" 
+                           target="_blank" 
+                           rel="noopener noreferrer" 
+                           class="result-link">
+                            ${this.t('result.anilistPage')}
+                        </a>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    closeSharedResult() {
+        if (this.sharedResultSection) {
+            this.sharedResultSection.classList.remove('show');
+        }
+        history.replaceState(null, '', window.location.pathname);
+    }
+    
+    /**
+     * Read and remove the file the service worker stored for us
+     */
+    async takeSharedFile() {
+        if (!('caches' in window)) return null;
+        
+        const cache = await caches.open(this.SHARE_CACHE);
+        const response = await cache.match(this.SHARED_FILE_KEY);
+        if (!response) return null;
+        
+        await cache.delete(this.SHARED_FILE_KEY);
+        const blob = await response.blob();
+        const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-image');
+        return new File([blob], name, { type: blob.type });
     }
     
     /**
@@ -329,7 +1542,7 @@ class AnimeSauceFinder {
      */
     async pasteFromClipboard() {
         if (!this.features.clipboard) {
-            this.showStatus('Clipboard access not supported in this browser', 'error');
+            this.showStatus(this.t('status.clipboardUnsupported'), 'error');
             return;
         }
         
@@ -340,12 +1553,12 @@ class AnimeSauceFinder {
                     this.urlInput.value = clipboardText;
                 }
                 this.updateSearchButtonState();
-                this.showStatus('URL pasted from clipboard!', 'success');
+                this.showStatus(this.t('status.urlPasted'), 'success');
             } else {
-                this.showStatus('Clipboard does not contain a valid URL', 'error');
+                this.showStatus(this.t('status.clipboardNoUrl'), 'error');
             }
         } catch (error) {
-            this.showStatus('Failed to read from clipboard', 'error');
+            this.showStatus(this.t('status.clipboardFailed'), 'error');
         }
     }
     
@@ -360,15 +1573,22 @@ class AnimeSauceFinder {
                 return;
             }
             
+            if (files.length > 1) {
+                this.queueBatch(files);
+                return;
+            }
+            
             const file = files[0];
             console.log('File selected:', file.name, file.type, file.size);
             
-            if (await this.isValidImageFile(file)) {
+            if (this.isVideoFile(file)) {
+                await this.loadVideo(file);
+            } else if (await this.isValidImageFile(file)) {
                 await this.setCurrentFile(file);
-                this.showStatus(`✅ File loaded: ${file.name}`, 'success');
+                this.showStatus(this.t('status.fileLoaded', { name: file.name }), 'success');
             }
         } catch (error) {
-            this.handleError(error, 'Failed to handle file selection');
+            this.handleError(error, this.t('error.context.fileSelection'));
             if (event.target) {
                 event.target.value = '';
             }
@@ -415,12 +1635,16 @@ class AnimeSauceFinder {
         }
         
         const files = event.dataTransfer.files;
-        if (files.length > 0) {
+        if (files.length > 1) {
+            this.queueBatch(files);
+        } else if (files.length > 0) {
             const file = files[0];
             console.log('Dropped file:', file.name, file.type, file.size);
-            if (await this.isValidImageFile(file)) {
+            if (this.isVideoFile(file)) {
+                await this.loadVideo(file);
+            } else if (await this.isValidImageFile(file)) {
                 await this.setCurrentFile(file);
-                this.showStatus(`✅ File dropped: ${file.name}`, 'success');
+                this.showStatus(this.t('status.fileDropped', { name: file.name }), 'success');
             }
         }
     }
@@ -440,7 +1664,7 @@ class AnimeSauceFinder {
                 const file = item.getAsFile();
                 if (file && await this.isValidImageFile(file)) {
                     await this.setCurrentFile(file);
-                    this.showStatus('✅ Image pasted from clipboard!', 'success');
+                    this.showStatus(this.t('status.imagePasted'), 'success');
                     event.preventDefault();
                     break;
                 }
@@ -453,16 +1677,13 @@ class AnimeSauceFinder {
      */
     async isValidImageFile(file) {
         if (!this.SUPPORTED_FORMATS.includes(file.type)) {
-            this.showStatus(
-                `❌ Unsupported file type: ${file.type}. Please use JPG, PNG, GIF, WebP, BMP, or AVIF.`, 
-                'error'
-            );
+            this.showStatus(this.t('status.unsupportedType', { type: file.type }), 'error');
             return false;
         }
         
         if (file.size > this.MAX_FILE_SIZE) {
             this.showStatus(
-                `❌ File too large: ${this.formatFileSize(file.size)}. Maximum allowed: ${this.formatFileSize(this.MAX_FILE_SIZE)}`, 
+                this.t('status.fileTooLarge', { size: this.formatFileSize(file.size), max: this.formatFileSize(this.MAX_FILE_SIZE) }),
                 'error'
             );
             return false;
@@ -470,9 +1691,10 @@ class AnimeSauceFinder {
         
         try {
             await this.validateImageIntegrity(file);
-            const quality = await this.assessImageQuality(file);
+            const { quality, borders } = await this.assessImageQuality(file);
+            this.borderAnalysis = { file, borders };
             if (quality < this.IMAGE_QUALITY_THRESHOLD) {
-                this.showStatus('⚠️ Low quality image detected. Results may be less accurate.', 'warning');
+                this.showStatus(this.t('status.lowQuality'), 'warning');
             }
         } catch (error) {
             console.warn('Image integrity check failed, proceeding anyway:', error);
@@ -506,7 +1728,7 @@ class AnimeSauceFinder {
     }
 
     /**
-     * Assess image quality for better search results
+     * Assess image quality for better search results and detect letterbox/player borders
      */
     async assessImageQuality(file) {
         return new Promise((resolve) => {
@@ -545,13 +1767,14 @@ class AnimeSauceFinder {
                 const avgSharpness = sharpness / (data.length / 4);
                 const avgBrightness = contrast / (data.length / 4);
                 const quality = Math.min(1, (avgSharpness / 50) * (avgBrightness / 128));
+                const borders = this.detectUniformBorders(data, canvas.width, canvas.height);
                 
-                resolve(quality);
+                resolve({ quality, borders });
             };
             
             img.onerror = () => {
                 URL.revokeObjectURL(url);
-                resolve(0.5); // Default quality if assessment fails
+                resolve({ quality: 0.5, borders: null }); // Default quality if assessment fails
             };
             
             img.src = url;
@@ -559,64 +1782,241 @@ class AnimeSauceFinder {
     }
     
     /**
-     * Set current file with metadata extraction
+     * Find solid-colour bars on each side of the image.
+     * Returns the border thickness in pixels per side, or null when there is nothing worth trimming.
      */
-    async setCurrentFile(file) {
-        try {
-            this.currentFile = file;
-            this.currentFileMetadata = await this.extractFileMetadata(file);
+    detectUniformBorders(data, width, height) {
+        const tolerance = this.BORDER_TOLERANCE;
+        const pixelIndex = (x, y) => (y * width + x) * 4;
+        
+        // A line counts as border when nearly every pixel matches the outermost line's average colour
+        const scanSide = (lineCount, lineLength, indexAt) => {
+            const reference = [0, 0, 0];
+            for (let i = 0; i < lineLength; i++) {
+                const idx = indexAt(0, i);
+                reference[0] += data[idx];
+                reference[1] += data[idx + 1];
+                reference[2] += data[idx + 2];
+            }
+            reference[0] /= lineLength;
+            reference[1] /= lineLength;
+            reference[2] /= lineLength;
             
-            await this.showImagePreview(file);
-            this.updateImageInfo();
-            this.clearResults();
-            this.updateSearchButtonState();
+            const isUniformLine = (line) => {
+                let outliers = 0;
+                for (let i = 0; i < lineLength; i += 2) {
+                    const idx = indexAt(line, i);
+                    if (Math.abs(data[idx] - reference[0]) > tolerance ||
+                        Math.abs(data[idx + 1] - reference[1]) > tolerance ||
+                        Math.abs(data[idx + 2] - reference[2]) > tolerance) {
+                        outliers++;
+                    }
+                }
+                return outliers <= (lineLength / 2) * 0.02;
+            };
             
-            console.log('File set successfully:', file.name);
+            const limit = Math.floor(lineCount * this.MAX_BORDER_RATIO);
+            let depth = 0;
+            while (depth < limit && isUniformLine(depth)) {
+                depth++;
+            }
             
-        } catch (error) {
-            this.handleError(error, 'Failed to load image');
-        }
-    }
-    
-    /**
-     * Extract file metadata
-     */
-    async extractFileMetadata(file) {
-        const metadata = {
-            name: file.name,
-            size: file.size,
-            type: file.type,
-            lastModified: new Date(file.lastModified),
-            dimensions: null,
-            aspectRatio: null
+            return depth >= Math.max(4, lineCount * this.MIN_BORDER_RATIO) ? depth : 0;
         };
         
-        try {
-            const dimensions = await this.getImageDimensions(file);
-            metadata.dimensions = dimensions;
-            metadata.aspectRatio = (dimensions.width / dimensions.height).toFixed(2);
-        } catch (error) {
-            console.warn('Could not extract image dimensions:', error);
+        const borders = {
+            top: scanSide(height, width, (line, i) => pixelIndex(i, line)),
+            bottom: scanSide(height, width, (line, i) => pixelIndex(i, height - 1 - line)),
+            left: scanSide(width, height, (line, i) => pixelIndex(line, i)),
+            right: scanSide(width, height, (line, i) => pixelIndex(width - 1 - line, i))
+        };
+        
+        if (!borders.top && !borders.bottom && !borders.left && !borders.right) {
+            return null;
         }
         
-        return metadata;
+        return borders;
     }
     
     /**
-     * Get image dimensions
+     * Build a copy of the file with the detected borders cut off
      */
-    getImageDimensions(file) {
+    createTrimmedFile(file, borders) {
         return new Promise((resolve, reject) => {
             const img = new Image();
             const url = URL.createObjectURL(file);
             
             img.onload = () => {
                 URL.revokeObjectURL(url);
-                resolve({
-                    width: img.naturalWidth,
-                    height: img.naturalHeight
-                });
-            };
+                const width = img.naturalWidth - borders.left - borders.right;
+                const height = img.naturalHeight - borders.top - borders.bottom;
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                canvas.getContext('2d').drawImage(img, borders.left, borders.top, width, height, 0, 0, width, height);
+                
+                const type = ['image/png', 'image/jpeg', 'image/webp'].includes(file.type) ? file.type : 'image/png';
+                canvas.toBlob((blob) => {
+                    if (!blob) {
+                        reject(new Error('Could not trim image'));
+                        return;
+                    }
+                    const baseName = file.name.replace(/\.[^.]+$/, '');
+                    const extension = type.split('/')[1].replace('jpeg', 'jpg');
+                    resolve(new File([blob], `${baseName}_trimmed.${extension}`, { type }));
+                }, type, 0.95);
+            };
+            
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not load image'));
+            };
+            
+            img.src = url;
+        });
+    }
+    
+    /**
+     * Offer the trimmed version when the quality pass found borders on this file
+     */
+    async offerBorderTrim(file) {
+        const analysis = this.borderAnalysis;
+        this.borderAnalysis = null;
+        if (!analysis || analysis.file !== file || !analysis.borders) return;
+        
+        try {
+            const trimmed = await this.createTrimmedFile(file, analysis.borders);
+            this.borderTrim = {
+                original: file,
+                trimmed: trimmed,
+                borders: analysis.borders,
+                active: 'original'
+            };
+            this.renderBorderTrimBar();
+        } catch (error) {
+            console.warn('Border trimming failed:', error);
+        }
+    }
+    
+    /**
+     * Switch the preview and the file to search between original and trimmed
+     */
+    async selectBorderTrimVersion(version) {
+        if (!this.borderTrim || this.borderTrim.active === version || this.isSearching) return;
+        
+        const file = version === 'trimmed' ? this.borderTrim.trimmed : this.borderTrim.original;
+        this.cancelCrop();
+        this.borderTrim.active = version;
+        this.currentFile = file;
+        this.currentFileMetadata = await this.extractFileMetadata(file);
+        
+        await this.showImagePreview(file);
+        await this.prepareUploadFile(file);
+        this.updateImageInfo();
+        this.clearResults();
+        this.renderBorderTrimBar();
+    }
+    
+    renderBorderTrimBar() {
+        if (!this.borderTrimBar) return;
+        
+        if (!this.borderTrim) {
+            this.borderTrimBar.classList.remove('show');
+            return;
+        }
+        
+        const { borders, active } = this.borderTrim;
+        const sides = ['top', 'bottom', 'left', 'right']
+            .filter(side => borders[side] > 0)
+            .map(side => `${this.t(`borderTrim.side.${side}`)} ${borders[side]}px`)
+            .join(', ');
+        
+        if (this.borderTrimText) {
+            this.borderTrimText.textContent = this.t('borderTrim.detected', { sides });
+        }
+        
+        this.borderTrimBar.querySelectorAll('[data-version]').forEach(button => {
+            const isActive = button.dataset.version === active;
+            button.classList.toggle('active', isActive);
+            button.setAttribute('aria-pressed', isActive ? 'true' : 'false');
+        });
+        this.borderTrimBar.classList.add('show');
+    }
+    
+    clearBorderTrim() {
+        this.borderTrim = null;
+        this.renderBorderTrimBar();
+    }
+    
+    /**
+     * Set current file with metadata extraction
+     */
+    async setCurrentFile(file) {
+        try {
+            if (this.batchQueue.length > 0) {
+                this.clearBatch();
+            }
+            if (this.currentVideo) {
+                this.clearVideo();
+            }
+            this.cancelCrop();
+            this.clearBorderTrim();
+            this.currentFile = file;
+            this.currentFileMetadata = await this.extractFileMetadata(file);
+            
+            await this.showImagePreview(file);
+            await this.prepareUploadFile(file);
+            this.updateImageInfo();
+            this.clearResults();
+            this.updateSearchButtonState();
+            await this.offerBorderTrim(file);
+            
+            console.log('File set successfully:', file.name);
+            
+        } catch (error) {
+            this.handleError(error, this.t('error.context.loadImage'));
+        }
+    }
+    
+    /**
+     * Extract file metadata
+     */
+    async extractFileMetadata(file) {
+        const metadata = {
+            name: file.name,
+            size: file.size,
+            type: file.type,
+            lastModified: new Date(file.lastModified),
+            dimensions: null,
+            aspectRatio: null
+        };
+        
+        try {
+            const dimensions = await this.getImageDimensions(file);
+            metadata.dimensions = dimensions;
+            metadata.aspectRatio = (dimensions.width / dimensions.height).toFixed(2);
+        } catch (error) {
+            console.warn('Could not extract image dimensions:', error);
+        }
+        
+        return metadata;
+    }
+    
+    /**
+     * Get image dimensions
+     */
+    getImageDimensions(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                resolve({
+                    width: img.naturalWidth,
+                    height: img.naturalHeight
+                });
+            };
             
             img.onerror = () => {
                 URL.revokeObjectURL(url);
@@ -710,12 +2110,104 @@ class AnimeSauceFinder {
         if (this.imageSize) {
             this.imageSize.textContent = dimensions 
                 ? `${dimensions.width}×${dimensions.height}`
-                : 'Unknown size';
+                : this.t('image.unknownSize');
         }
         
         if (this.imageFormat) {
-            this.imageFormat.textContent = `${this.formatFileSize(size)} • ${type.split('/')[1].toUpperCase()}`;
+            let formatText = `${this.formatFileSize(size)} • ${type.split('/')[1].toUpperCase()}`;
+            
+            const upload = this.currentFile && this.preparedUploads.get(this.currentFile);
+            if (upload && upload !== this.currentFile) {
+                const saved = size - upload.size;
+                formatText += ` → ${this.formatFileSize(upload.size)} ${upload.type.split('/')[1].toUpperCase()}` +
+                    ` ${this.t('image.saved', { size: this.formatFileSize(saved), percent: Math.round((saved / size) * 100) })}`;
+            }
+            
+            this.imageFormat.textContent = formatText;
+        }
+    }
+    
+    /**
+     * Get the downscaled upload for a file, preparing it on first use
+     */
+    async prepareUploadFile(file) {
+        if (this.preparedUploads.has(file)) {
+            return this.preparedUploads.get(file);
+        }
+        
+        let prepared = file;
+        try {
+            prepared = await this.downscaleImage(file);
+        } catch (error) {
+            console.warn('Could not downscale image, uploading original:', error);
         }
+        
+        this.preparedUploads.set(file, prepared);
+        return prepared;
+    }
+    
+    /**
+     * Resize to UPLOAD_MAX_DIMENSION and re-encode in the best format the browser can produce.
+     * Returns the original file whenever that is already the smaller upload.
+     */
+    downscaleImage(file) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            
+            img.onload = async () => {
+                URL.revokeObjectURL(url);
+                
+                const scale = Math.min(1, this.UPLOAD_MAX_DIMENSION / Math.max(img.naturalWidth, img.naturalHeight));
+                if (scale === 1 && file.size <= this.UPLOAD_REENCODE_SIZE) {
+                    resolve(file);
+                    return;
+                }
+                
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.naturalWidth * scale);
+                canvas.height = Math.round(img.naturalHeight * scale);
+                const ctx = canvas.getContext('2d');
+                ctx.imageSmoothingQuality = 'high';
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                
+                for (const type of this.getUploadFormats()) {
+                    const blob = await new Promise(done => canvas.toBlob(done, type, this.UPLOAD_QUALITY));
+                    
+                    // toBlob silently falls back to PNG for formats it cannot encode
+                    if (blob && blob.type === type) {
+                        if (blob.size >= file.size) {
+                            resolve(file);
+                            return;
+                        }
+                        const baseName = file.name.replace(/\.[^.]+$/, '');
+                        const extension = type.split('/')[1].replace('jpeg', 'jpg');
+                        resolve(new File([blob], `${baseName}_upload.${extension}`, { type }));
+                        return;
+                    }
+                }
+                
+                resolve(file);
+            };
+            
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                reject(new Error('Could not load image'));
+            };
+            
+            img.src = url;
+        });
+    }
+    
+    /**
+     * Upload encodings in order of preference, based on what this browser's canvas can write
+     */
+    getUploadFormats() {
+        const formats = [];
+        if (this.features.webp) formats.push('image/webp');
+        if (this.features.avif) formats.push('image/avif');
+        formats.push('image/jpeg');
+        return formats;
     }
     
     /**
@@ -723,21 +2215,15 @@ class AnimeSauceFinder {
      */
     removeImage() {
         if (this.currentFile && this.isSearching) {
-            if (!confirm('A search is in progress. Are you sure you want to remove this image?')) {
+            if (!confirm(this.t('confirm.removeImage'))) {
                 return;
             }
             this.abortCurrentSearch();
         }
         
-        this.currentFile = null;
-        this.currentFileMetadata = null;
-        
-        if (this.previewImage) this.previewImage.src = '';
-        if (this.previewSection) this.previewSection.classList.remove('show');
-        if (this.fileInput) this.fileInput.value = '';
-        
+        this.removeImageSilently();
         this.updateSearchButtonState();
-        this.showStatus('🗑️ Image removed. Upload another image to search.', 'info');
+        this.showStatus(this.t('status.imageRemoved'), 'info');
     }
     
     /**
@@ -745,12 +2231,14 @@ class AnimeSauceFinder {
      */
     clearAll() {
         if (this.isSearching) {
-            if (!confirm('A search is in progress. Are you sure you want to clear everything?')) {
+            if (!confirm(this.t('confirm.clearAll'))) {
                 return;
             }
             this.abortCurrentSearch();
         }
         
+        this.cancelCrop();
+        this.clearBorderTrim();
         this.currentFile = null;
         this.currentFileMetadata = null;
         
@@ -759,11 +2247,13 @@ class AnimeSauceFinder {
         if (this.fileInput) this.fileInput.value = '';
         if (this.urlInput) this.urlInput.value = '';
         
+        this.clearBatch();
+        this.clearVideo();
         this.clearResults();
         this.clearStatus();
         this.updateSearchButtonState();
         
-        this.showStatus('✨ Everything cleared! Ready for a new search.', 'info');
+        this.showStatus(this.t('status.cleared'), 'info');
     }
     
     /**
@@ -772,9 +2262,14 @@ class AnimeSauceFinder {
     updateSearchButtonState() {
         const hasFile = this.currentFile !== null;
         const hasUrl = this.urlInput && this.urlInput.value.trim().length > 0;
+        const hasBatch = this.batchQueue.some(item => item.status === 'queued');
+        const hasVideo = this.currentVideo !== null;
         
         if (this.searchBtn) {
-            this.searchBtn.disabled = (!hasFile && !hasUrl) || this.isSearching;
+            this.searchBtn.disabled = (!hasFile && !hasUrl && !hasBatch && !hasVideo) || this.isSearching;
+        }
+        if (this.cancelBatchBtn) {
+            this.cancelBatchBtn.disabled = !this.isSearching;
         }
     }
     
@@ -786,21 +2281,33 @@ class AnimeSauceFinder {
         
         const urlValue = this.urlInput ? this.urlInput.value.trim() : '';
         
+        if (!urlValue && this.batchQueue.length > 0) {
+            return this.searchBatch();
+        }
+        
+        if (!urlValue && this.currentVideo) {
+            return this.searchVideoFrames();
+        }
+        
         if (!this.currentFile && !urlValue) {
-            this.showStatus('❌ Please upload an image or provide an image URL', 'error');
+            this.showStatus(this.t('status.noInput'), 'error');
             return;
         }
         
         if (urlValue && !this.isValidUrl(urlValue)) {
-            this.showStatus('❌ Please provide a valid image URL', 'error');
+            this.showStatus(this.t('status.invalidUrl'), 'error');
             return;
         }
         
+        const input = this.getSearchInput();
+        const options = this.getSearchOptions();
+        const historyInput = input.type === 'url' ? input.url : input.file;
+        
         try {
             this.startSearch();
             const searchStartTime = performance.now();
             
-            const results = await this.performSearch();
+            const results = await this.performSearch(input, options);
             
             const searchEndTime = performance.now();
             const searchTime = searchEndTime - searchStartTime;
@@ -808,127 +2315,705 @@ class AnimeSauceFinder {
             
             if (results && results.length > 0) {
                 this.displayResults(results);
-                this.addToHistory(this.currentFile || urlValue, results);
+                this.addToHistory(historyInput, results);
                 this.metrics.successCount++;
                 
                 this.showStatus(
-                    `🎉 Found ${results.length} matches in ${searchTime.toFixed(0)}ms!`, 
+                    this.t('status.found', { count: results.length, time: Math.round(searchTime) }),
                     'success'
                 );
             } else {
                 this.showNoResults();
-                this.addToHistory(this.currentFile || urlValue, []);
+                this.addToHistory(historyInput, []);
             }
             
         } catch (error) {
-            this.metrics.errorCount++;
-            this.handleError(error, 'Search failed');
+            if (error.name === 'OfflineError') {
+                await this.queueOfflineSearch(input, options);
+            } else {
+                this.metrics.errorCount++;
+                this.handleError(error, this.t('error.context.search'));
+            }
         } finally {
             this.endSearch();
         }
     }
     
     /**
-     * Enhanced URL validation
-     */
-    isValidUrl(url) {
-        try {
-            const parsedUrl = new URL(url);
-            return parsedUrl.protocol === 'http:' || parsedUrl.protocol === 'https:';
-        } catch {
-            return false;
-        }
-    }
-    
-    /**
-     * Start search
+     * Queue several images for a batch search
      */
-    startSearch() {
-        this.isSearching = true;
-        if (this.searchBtn) {
-            this.searchBtn.classList.add('loading');
-            this.searchBtn.disabled = true;
-        }
-        if (this.loadingOverlay) {
-            this.loadingOverlay.classList.add('show');
-        }
+    queueBatch(files) {
+        const accepted = Array.from(files).filter(file =>
+            this.SUPPORTED_FORMATS.includes(file.type) && file.size <= this.MAX_FILE_SIZE
+        );
+        const skipped = files.length - accepted.length;
         
-        if (this.abortController) {
-            this.abortController.abort();
+        if (accepted.length === 0) {
+            this.showStatus(this.t('status.noSupportedFiles'), 'error');
+            return;
         }
-        this.abortController = new AbortController();
         
+        // A batch replaces the single-image preview
+        this.clearVideo();
+        this.currentFile = null;
+        this.currentFileMetadata = null;
+        if (this.previewImage) this.previewImage.src = '';
+        if (this.previewSection) this.previewSection.classList.remove('show');
+        if (this.fileInput) this.fileInput.value = '';
         this.clearResults();
-        this.clearStatus();
         
-        this.animateLoadingText();
+        const baseId = Date.now();
+        accepted.forEach((file, index) => {
+            this.batchQueue.push({
+                id: baseId + index,
+                file: file,
+                thumbnailUrl: URL.createObjectURL(file),
+                status: 'queued',
+                results: [],
+                error: null
+            });
+        });
+        
+        this.renderBatch();
+        this.updateSearchButtonState();
+        
+        const skippedNote = skipped > 0 ? this.t('status.batchSkipped', { count: skipped }) : '';
+        this.showStatus(this.t('status.batchQueued', { count: accepted.length, skipped: skippedNote }), 'success');
     }
     
     /**
-     * Animate loading text
+     * Run every queued image through performSearch with limited concurrency
      */
-    animateLoadingText() {
-        const loadingMessages = [
-            'Analyzing your image with AI...',
-            'Searching anime database...',
-            'Processing visual features...',
-            'Matching against thousands of anime...',
-            'Almost done, hang tight!'
-        ];
+    async searchBatch() {
+        const pending = this.batchQueue.filter(item => item.status === 'queued');
+        if (pending.length === 0) return;
         
-        let messageIndex = 0;
-        const updateMessage = () => {
-            if (!this.isSearching) return;
-            
-            if (this.loadingText) {
-                this.loadingText.textContent = loadingMessages[messageIndex];
+        this.startSearch(false);
+        const signal = this.abortController.signal;
+        const batchStartTime = performance.now();
+        
+        const worker = async () => {
+            while (pending.length > 0 && !signal.aborted) {
+                const item = pending.shift();
+                await this.searchBatchItem(item, signal);
             }
-            
-            messageIndex = (messageIndex + 1) % loadingMessages.length;
-            setTimeout(updateMessage, 2000);
         };
         
-        setTimeout(updateMessage, 1000);
+        try {
+            const workerCount = Math.min(this.getBatchConcurrency(), pending.length);
+            await Promise.all(Array.from({ length: workerCount }, worker));
+        } finally {
+            // Whatever the workers never picked up was cancelled along with the batch
+            pending.forEach(item => {
+                item.status = 'cancelled';
+                this.updateBatchItem(item);
+            });
+            this.endSearch();
+            this.updateBatchSummary();
+        }
+        
+        if (!signal.aborted) {
+            const offline = this.batchQueue.filter(item => item.status === 'offline').length;
+            const found = this.batchQueue.filter(item => item.status === 'done' && item.results.length > 0).length;
+            const elapsed = ((performance.now() - batchStartTime) / 1000).toFixed(1);
+            
+            if (offline > 0) {
+                this.showStatus(this.t('status.batchOffline', { count: offline }), 'info');
+            } else {
+                this.showStatus(this.t('status.batchFinished', { found, count: this.batchQueue.length, seconds: elapsed }), 'success');
+            }
+        }
     }
     
     /**
-     * End search
+     * Parallel batch requests, capped by the concurrency the API key allows
      */
-    endSearch() {
-        this.isSearching = false;
-        if (this.searchBtn) {
-            this.searchBtn.classList.remove('loading');
-        }
-        if (this.loadingOverlay) {
-            this.loadingOverlay.classList.remove('show');
-        }
-        this.updateSearchButtonState();
-        
-        if (this.abortController) {
-            this.abortController = null;
-        }
+    getBatchConcurrency() {
+        const allowed = this.accountInfo && this.accountInfo.concurrency;
+        return allowed ? Math.min(this.BATCH_CONCURRENCY, allowed) : this.BATCH_CONCURRENCY;
     }
     
     /**
-     * Abort current search
+     * Search a single batch entry and record its outcome
      */
-    abortCurrentSearch() {
-        if (this.abortController) {
-            this.abortController.abort();
-            this.endSearch();
-            this.showStatus('🛑 Search cancelled', 'info');
+    async searchBatchItem(item, signal) {
+        item.status = 'searching';
+        this.updateBatchItem(item);
+        
+        const input = { type: 'file', file: item.file };
+        const options = this.getSearchOptions();
+        
+        try {
+            const searchStartTime = performance.now();
+            const results = await this.performSearch(input, options);
+            this.metrics.searchTimes.push(performance.now() - searchStartTime);
+            
+            item.results = (results || []).sort((a, b) => b.similarity - a.similarity);
+            item.status = 'done';
+            this.metrics.successCount++;
+            this.addToHistory(item.file, item.results);
+        } catch (error) {
+            if (error.name === 'AbortError' || signal.aborted) {
+                item.status = 'cancelled';
+            } else if (error.name === 'OfflineError' && await this.queueOfflineSearch(input, options, false)) {
+                // The offline queue runs it later and records it in history then
+                item.status = 'offline';
+            } else {
+                item.status = 'error';
+                item.error = this.getErrorMessage(error);
+                this.metrics.errorCount++;
+            }
         }
+        
+        this.updateBatchItem(item);
+        this.updateBatchSummary();
     }
     
     /**
-     * Enhanced API search with intelligent caching and retry logic
+     * Render the whole batch queue
      */
-    async performSearch() {
-        const maxRetries = 3;
-        let attempt = 0;
+    renderBatch() {
+        if (!this.batchSection || !this.batchList) return;
+        
+        if (this.batchQueue.length === 0) {
+            this.batchList.innerHTML = '';
+            this.batchSection.classList.remove('show');
+            return;
+        }
+        
+        this.batchList.innerHTML = this.batchQueue.map(item => `
+            <li class="batch-item" data-id="${item.id}" tabindex="0">
+                <img src="${item.thumbnailUrl}" alt="" class="batch-thumb" loading="lazy">
+                <div class="batch-details">
+                    <div class="batch-name">${this.escapeHtml(item.file.name)}</div>
+                    <div class="batch-status"></div>
+                    <div class="batch-progress"><div class="batch-progress-bar"></div></div>
+                </div>
+            </li>
+        `).join('');
+        
+        this.batchQueue.forEach(item => this.updateBatchItem(item));
+        this.updateBatchSummary();
+        this.batchSection.classList.add('show');
+    }
+    
+    /**
+     * Refresh one batch entry in place
+     */
+    updateBatchItem(item) {
+        if (!this.batchList) return;
+        
+        const itemEl = this.batchList.querySelector(`.batch-item[data-id="${item.id}"]`);
+        if (!itemEl) return;
+        
+        const statusEl = itemEl.querySelector('.batch-status');
+        itemEl.className = `batch-item ${item.status}`;
+        
+        let statusText;
+        switch (item.status) {
+            case 'searching':
+                statusText = this.t('batch.searching');
+                break;
+            case 'done':
+                statusText = item.results.length > 0
+                    ? `✅ ${this.extractAnimeTitle(item.results[0])} (${(item.results[0].similarity * 100).toFixed(1)}%)`
+                    : this.t('results.noMatches');
+                break;
+            case 'error':
+                statusText = item.error || this.t('batch.failed');
+                break;
+            case 'cancelled':
+                statusText = this.t('batch.cancelled');
+                break;
+            case 'offline':
+                statusText = this.t('batch.offline');
+                break;
+            default:
+                statusText = this.t('batch.queued');
+        }
+        
+        if (statusEl) {
+            statusEl.textContent = statusText;
+        }
+    }
+    
+    /**
+     * Update the "N of M done" counter for the batch
+     */
+    updateBatchSummary() {
+        if (!this.batchSummary) return;
+        
+        const finished = this.batchQueue.filter(item => item.status === 'done' || item.status === 'error').length;
+        this.batchSummary.textContent = `(${finished}/${this.batchQueue.length})`;
+    }
+    
+    /**
+     * Show the full results for one finished batch entry
+     */
+    showBatchItemResults(id) {
+        const item = this.batchQueue.find(entry => entry.id === id);
+        if (!item || item.status !== 'done') return;
+        
+        if (item.results.length > 0) {
+            this.displayResults(item.results);
+        } else {
+            this.showNoResults();
+        }
+    }
+    
+    /**
+     * Empty the batch queue
+     */
+    clearBatch() {
+        if (this.isSearching && this.batchQueue.some(item => item.status === 'searching')) {
+            this.abortCurrentSearch();
+        }
+        
+        this.batchQueue.forEach(item => URL.revokeObjectURL(item.thumbnailUrl));
+        this.batchQueue = [];
+        this.renderBatch();
+        this.updateSearchButtonState();
+    }
+    
+    /**
+     * Check whether a file is a supported video clip
+     */
+    isVideoFile(file) {
+        return this.SUPPORTED_VIDEO_FORMATS.includes(file.type);
+    }
+    
+    /**
+     * Load a video clip into the frame picker
+     */
+    async loadVideo(file) {
+        if (file.size > this.MAX_VIDEO_SIZE) {
+            this.showStatus(
+                this.t('status.videoTooLarge', { size: this.formatFileSize(file.size), max: this.formatFileSize(this.MAX_VIDEO_SIZE) }),
+                'error'
+            );
+            return;
+        }
+        
+        if (!this.videoPreview) return;
+        
+        // A video replaces any image or batch currently loaded
+        if (this.batchQueue.length > 0) this.clearBatch();
+        this.clearVideo();
+        this.currentFile = null;
+        this.currentFileMetadata = null;
+        if (this.previewImage) this.previewImage.src = '';
+        if (this.previewSection) this.previewSection.classList.remove('show');
+        this.clearResults();
+        
+        const objectUrl = URL.createObjectURL(file);
+        
+        try {
+            await new Promise((resolve, reject) => {
+                this.videoPreview.onloadedmetadata = () => resolve();
+                this.videoPreview.onerror = () => reject(new Error('This video codec is not supported by your browser'));
+                this.videoPreview.src = objectUrl;
+            });
+        } catch (error) {
+            this.videoPreview.onloadedmetadata = null;
+            this.videoPreview.onerror = null;
+            URL.revokeObjectURL(objectUrl);
+            this.videoPreview.removeAttribute('src');
+            this.handleError(error, this.t('error.context.loadVideo'));
+            return;
+        }
+        
+        this.currentVideo = { file: file, objectUrl: objectUrl };
+        if (this.videoSection) this.videoSection.classList.add('show');
+        if (this.fileInput) this.fileInput.value = '';
+        
+        this.renderVideoFrames();
+        this.updateSearchButtonState();
+        this.showStatus(this.t('status.videoLoaded', { name: file.name }), 'success');
+    }
+    
+    /**
+     * Seek the video element and wait for the frame to be ready
+     */
+    seekVideo(time) {
+        return new Promise((resolve, reject) => {
+            const video = this.videoPreview;
+            const cleanup = () => {
+                video.removeEventListener('seeked', onSeeked);
+                video.removeEventListener('error', onError);
+            };
+            const onSeeked = () => {
+                cleanup();
+                resolve();
+            };
+            const onError = () => {
+                cleanup();
+                reject(new Error('Could not seek video'));
+            };
+            
+            video.addEventListener('seeked', onSeeked);
+            video.addEventListener('error', onError);
+            video.currentTime = time;
+        });
+    }
+    
+    /**
+     * Draw the current video frame to a canvas and return it as a JPEG file
+     */
+    captureVideoFrame() {
+        return new Promise((resolve, reject) => {
+            const video = this.videoPreview;
+            const canvas = document.createElement('canvas');
+            canvas.width = video.videoWidth;
+            canvas.height = video.videoHeight;
+            canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+            
+            canvas.toBlob((blob) => {
+                if (!blob) {
+                    reject(new Error('Could not capture video frame'));
+                    return;
+                }
+                const baseName = this.currentVideo.file.name.replace(/\.[^.]+$/, '');
+                const time = video.currentTime.toFixed(2);
+                resolve(new File([blob], `${baseName}_${time}s.jpg`, { type: 'image/jpeg' }));
+            }, 'image/jpeg', 0.92);
+        });
+    }
+    
+    /**
+     * Store the captured frame for the next search
+     */
+    async storeVideoFrame() {
+        const file = await this.captureVideoFrame();
+        this.videoFrames.push({
+            id: Date.now() + this.videoFrames.length,
+            time: this.videoPreview.currentTime,
+            file: file,
+            thumbnailUrl: URL.createObjectURL(file)
+        });
+    }
+    
+    /**
+     * Add the frame currently shown in the player
+     */
+    async addCurrentVideoFrame() {
+        if (!this.currentVideo || !this.videoPreview) return;
+        
+        if (this.videoFrames.length >= this.MAX_VIDEO_FRAMES) {
+            this.showStatus(this.t('status.maxFrames', { count: this.MAX_VIDEO_FRAMES }), 'warning');
+            return;
+        }
+        
+        try {
+            this.videoPreview.pause();
+            await this.storeVideoFrame();
+            this.renderVideoFrames();
+        } catch (error) {
+            this.handleError(error, this.t('error.context.captureFrame'));
+        }
+    }
+    
+    /**
+     * Replace the picked frames with evenly spaced samples from the whole clip
+     */
+    async sampleVideoFrames() {
+        if (!this.currentVideo || !this.videoPreview) return;
+        
+        const requested = this.sampleCountInput ? parseInt(this.sampleCountInput.value, 10) : NaN;
+        const count = Math.min(
+            this.MAX_VIDEO_FRAMES,
+            Math.max(1, Number.isFinite(requested) ? requested : this.DEFAULT_SAMPLE_FRAMES)
+        );
+        const duration = this.videoPreview.duration;
+        
+        if (!Number.isFinite(duration) || duration <= 0) {
+            this.showStatus(this.t('status.videoDuration'), 'error');
+            return;
+        }
+        
+        this.clearVideoFrames();
+        this.videoPreview.pause();
+        
+        try {
+            for (let i = 0; i < count; i++) {
+                await this.seekVideo(duration * (i + 0.5) / count);
+                await this.storeVideoFrame();
+            }
+            this.showStatus(this.t('status.sampled', { frames: this.t('count.frames', { count }) }), 'success');
+        } catch (error) {
+            this.handleError(error, this.t('error.context.sampleFrames'));
+        }
+        
+        this.renderVideoFrames();
+    }
+    
+    /**
+     * Search every picked frame and merge the results
+     */
+    async searchVideoFrames() {
+        if (this.videoFrames.length === 0) {
+            await this.sampleVideoFrames();
+            if (this.videoFrames.length === 0) return;
+        }
+        
+        const frames = this.videoFrames.slice();
+        
+        try {
+            this.startSearch();
+            const searchStartTime = performance.now();
+            const frameResults = [];
+            
+            // Frames run one after another so a single clip doesn't exhaust the concurrency limit
+            for (const frame of frames) {
+                frameResults.push(await this.performSearch({ type: 'file', file: frame.file }));
+            }
+            
+            const searchTime = performance.now() - searchStartTime;
+            this.metrics.searchTimes.push(searchTime);
+            
+            const results = this.combineFrameResults(frameResults);
+            this.addToHistory(this.currentVideo.file, results);
+            
+            if (results.length > 0) {
+                this.displayResults(results);
+                this.metrics.successCount++;
+                this.showStatus(
+                    this.t('status.foundInFrames', {
+                        count: results.length,
+                        frames: this.t('count.frames', { count: frames.length }),
+                        time: Math.round(searchTime)
+                    }),
+                    'success'
+                );
+            } else {
+                this.showNoResults();
+            }
+        } catch (error) {
+            // Frame results only make sense merged, so the whole set of frames is queued together
+            if (error.name === 'OfflineError') {
+                await this.queueOfflineSearch({
+                    type: 'frames',
+                    files: frames.map(frame => frame.file),
+                    name: this.currentVideo.file.name
+                }, this.getSearchOptions());
+            } else {
+                this.metrics.errorCount++;
+                this.handleError(error, this.t('error.context.search'));
+            }
+        } finally {
+            this.endSearch();
+        }
+    }
+    
+    /**
+     * Merge per-frame results into one list ranked by how many frames agree
+     */
+    combineFrameResults(frameResults) {
+        const combined = new Map();
+        
+        frameResults.forEach(results => {
+            const seenInFrame = new Set();
+            
+            (results || []).forEach(result => {
+                const key = `${this.getAnilistId(result)}_${result.episode}`;
+                const existing = combined.get(key);
+                
+                if (!existing || result.similarity > existing.similarity) {
+                    combined.set(key, {
+                        ...result,
+                        frameMatches: existing ? existing.frameMatches : 0,
+                        frameCount: frameResults.length
+                    });
+                }
+                
+                // Count each show/episode once per frame, however many scenes it returned
+                if (!seenInFrame.has(key)) {
+                    seenInFrame.add(key);
+                    combined.get(key).frameMatches++;
+                }
+            });
+        });
+        
+        return Array.from(combined.values())
+            .sort((a, b) => b.frameMatches - a.frameMatches || b.similarity - a.similarity);
+    }
+    
+    /**
+     * Render the picked frame thumbnails
+     */
+    renderVideoFrames() {
+        if (!this.frameList) return;
+        
+        if (this.videoFrames.length === 0) {
+            this.frameList.innerHTML = `<li class="frame-empty">${this.t('frames.empty')}</li>`;
+            return;
+        }
+        
+        this.frameList.innerHTML = this.videoFrames.map(frame => `
+            <li class="frame-item">
+                <img src="${frame.thumbnailUrl}" alt="${this.t('frames.alt', { seconds: frame.time.toFixed(1) })}" class="frame-thumb">
+                <span class="frame-time">${this.formatSeconds(frame.time)}</span>
+                <button type="button" class="frame-remove" data-id="${frame.id}" aria-label="${this.t('frames.remove')}">✕</button>
+            </li>
+        `).join('');
+    }
+    
+    /**
+     * Remove a single picked frame
+     */
+    removeVideoFrame(id) {
+        const frame = this.videoFrames.find(entry => entry.id === id);
+        if (!frame) return;
+        
+        URL.revokeObjectURL(frame.thumbnailUrl);
+        this.videoFrames = this.videoFrames.filter(entry => entry.id !== id);
+        this.renderVideoFrames();
+    }
+    
+    /**
+     * Drop all picked frames
+     */
+    clearVideoFrames() {
+        this.videoFrames.forEach(frame => URL.revokeObjectURL(frame.thumbnailUrl));
+        this.videoFrames = [];
+    }
+    
+    /**
+     * Unload the current video and its frames
+     */
+    clearVideo() {
+        this.clearVideoFrames();
+        
+        if (this.currentVideo) {
+            URL.revokeObjectURL(this.currentVideo.objectUrl);
+            this.currentVideo = null;
+        }
+        if (this.videoPreview) {
+            this.videoPreview.pause();
+            this.videoPreview.removeAttribute('src');
+            this.videoPreview.load();
+        }
+        if (this.videoSection) this.videoSection.classList.remove('show');
+        if (this.frameList) this.frameList.innerHTML = '';
+        
+        this.updateSearchButtonState();
+    }
+    
+    /**
+     * Enhanced URL validation
+     */
+    isValidUrl(url) {
+        try {
+            const parsedUrl = new URL(url);
+            return parsedUrl.protocol === 'http:' || parsedUrl.protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+    
+    /**
+     * Re-serialize an http(s) URL, which percent-encodes quotes and angle brackets; null if invalid
+     */
+    normalizeUrl(url) {
+        return this.isValidUrl(url) ? new URL(url).href : null;
+    }
+    
+    /**
+     * Start search
+     */
+    startSearch(showOverlay = true) {
+        this.isSearching = true;
+        if (this.searchBtn) {
+            this.searchBtn.classList.add('loading');
+            this.searchBtn.disabled = true;
+        }
+        if (this.cancelBatchBtn) {
+            this.cancelBatchBtn.disabled = false;
+        }
+        if (this.loadingOverlay && showOverlay) {
+            this.loadingOverlay.classList.add('show');
+        }
+        
+        if (this.abortController) {
+            this.abortController.abort();
+        }
+        this.abortController = new AbortController();
+        
+        this.clearResults();
+        this.clearStatus();
+        
+        this.animateLoadingText();
+    }
+    
+    /**
+     * Animate loading text
+     */
+    animateLoadingText() {
+        const loadingMessages = ['analyzing', 'searching', 'processing', 'matching', 'almostDone']
+            .map(step => this.t(`loading.${step}`));
+        
+        let messageIndex = 0;
+        const updateMessage = () => {
+            if (!this.isSearching) return;
+            
+            if (this.loadingText) {
+                this.loadingText.textContent = loadingMessages[messageIndex];
+            }
+            
+            messageIndex = (messageIndex + 1) % loadingMessages.length;
+            setTimeout(updateMessage, 2000);
+        };
+        
+        setTimeout(updateMessage, 1000);
+    }
+    
+    /**
+     * End search
+     */
+    endSearch() {
+        this.isSearching = false;
+        if (this.searchBtn) {
+            this.searchBtn.classList.remove('loading');
+        }
+        if (this.loadingOverlay) {
+            this.loadingOverlay.classList.remove('show');
+        }
+        this.updateSearchButtonState();
+        
+        if (this.abortController) {
+            this.abortController = null;
+        }
+        
+        this.refreshQuota();
+    }
+    
+    /**
+     * Abort current search
+     */
+    abortCurrentSearch() {
+        if (this.abortController) {
+            this.abortController.abort();
+            this.endSearch();
+            this.showStatus(this.t('status.cancelled'), 'info');
+        }
+    }
+    
+    /**
+     * Enhanced API search with intelligent caching and retry logic
+     */
+    async performSearch(input = this.getSearchInput(), options = this.getSearchOptions()) {
+        const maxRetries = 3;
+        let attempt = 0;
+        
+        const provider = this.getSearchProvider();
+        
+        // Hiding or blurring adult results needs isAdult, which only comes with the AniList fields
+        if (this.preferences.adultContent !== 'show' && !options.anilistInfo) {
+            options = { ...options, anilistInfo: true };
+        }
         
         // Check cache first
-        const cacheKey = await this.generateCacheKey();
+        // Keyed by instance too, so a self-hosted endpoint never serves the public API's results
+        const cacheKey = `${provider.id}_${provider.baseUrl}_${await this.generateCacheKey(input, options)}`;
         const cachedResult = this.searchCache.get(cacheKey);
         if (cachedResult && Date.now() - cachedResult.timestamp < this.CACHE_EXPIRY) {
             this.metrics.cacheHits++;
@@ -936,552 +3021,2175 @@ class AnimeSauceFinder {
             return cachedResult.data;
         }
         
-        this.metrics.cacheMisses++;
+        // Then the persistent cache, which survives reloads
+        const persistedResult = await this.getPersistentCache(cacheKey);
+        if (persistedResult) {
+            this.metrics.cacheHits++;
+            this.searchCache.set(cacheKey, persistedResult);
+            console.log('Persistent cache hit! Returning stored result');
+            return persistedResult.data;
+        }
+        
+        this.metrics.cacheMisses++;
+        
+        // Nothing cached and no connection: let the caller queue the search
+        if (!navigator.onLine) {
+            throw this.createOfflineError();
+        }
+        
+        // The cache key is based on the original file, the upload on its downscaled copy
+        if (input.type === 'file' && input.file) {
+            input = { ...input, file: await this.prepareUploadFile(input.file) };
+        }
+        
+        // Keep hold of the signal so a cancel during backoff still stops the retries
+        const signal = this.abortController ? this.abortController.signal : undefined;
+        
+        while (attempt < maxRetries) {
+            try {
+                if (signal && signal.aborted) {
+                    throw new DOMException('Search was cancelled', 'AbortError');
+                }
+                
+                await provider.rateLimit();
+                const requestStart = performance.now();
+                
+                const rawResults = await provider.search(input, signal, options);
+                
+                const requestEnd = performance.now();
+                const responseTime = requestEnd - requestStart;
+                
+                const results = rawResults.map(raw => provider.normalizeResult(raw));
+                
+                // Cache successful results
+                if (results.length > 0) {
+                    const cacheEntry = {
+                        data: results,
+                        timestamp: Date.now(),
+                        responseTime: responseTime
+                    };
+                    this.searchCache.set(cacheKey, cacheEntry);
+                    this.setPersistentCache(cacheKey, cacheEntry);
+                }
+                
+                // Update metrics
+                this.metrics.avgResponseTime = (this.metrics.avgResponseTime + responseTime) / 2;
+                
+                return results;
+                
+            } catch (error) {
+                attempt++;
+                
+                if (error.name === 'AbortError') {
+                    throw error;
+                }
+                
+                // The connection dropped mid-search
+                if (!navigator.onLine) {
+                    throw this.createOfflineError();
+                }
+                
+                if (attempt === maxRetries) {
+                    throw error;
+                }
+                
+                // Exponential backoff with jitter
+                const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
+                await this.sleep(delay);
+            }
+        }
+    }
+    
+    /**
+     * Resolve what the next search should run against: the URL field wins over the loaded file
+     */
+    getSearchInput() {
+        const urlValue = this.urlInput ? this.urlInput.value.trim() : '';
+        
+        if (urlValue) {
+            return { type: 'url', url: urlValue };
+        }
+        return { type: 'file', file: this.currentFile };
+    }
+    
+    createOfflineError() {
+        const error = new Error('Network unavailable: you are offline');
+        error.name = 'OfflineError';
+        return error;
+    }
+    
+    /**
+     * Read the advanced search options from the form
+     */
+    getSearchOptions() {
+        const anilistId = this.anilistIdOption ? parseInt(this.anilistIdOption.value, 10) : NaN;
+        
+        return {
+            cutBorders: this.cutBordersOption ? this.cutBordersOption.checked : true,
+            anilistInfo: this.anilistInfoOption ? this.anilistInfoOption.checked : true,
+            anilistId: Number.isInteger(anilistId) && anilistId > 0 ? anilistId : null
+        };
+    }
+    
+    /**
+     * Remember the advanced options for the next visit
+     */
+    saveSearchOptions() {
+        this.preferences = { ...this.preferences, searchOptions: this.getSearchOptions() };
+        this.saveUserPreferences();
+    }
+    
+    /**
+     * Result filter preferences, filled in with defaults for older saved preferences
+     */
+    getResultFilters() {
+        return { ...this.DEFAULT_PREFERENCES.resultFilters, ...this.preferences.resultFilters };
+    }
+    
+    /**
+     * Read the result filters from the form, store them and apply them to the current results
+     */
+    saveResultFilters() {
+        const defaults = this.DEFAULT_PREFERENCES.resultFilters;
+        const minSimilarity = this.minSimilarityOption ? parseInt(this.minSimilarityOption.value, 10) : NaN;
+        const maxResults = this.maxResultsOption ? parseInt(this.maxResultsOption.value, 10) : NaN;
+        
+        const resultFilters = {
+            minSimilarity: Number.isInteger(minSimilarity) ? Math.min(Math.max(minSimilarity, 0), 100) : defaults.minSimilarity,
+            maxResults: Number.isInteger(maxResults) && maxResults > 0 ? Math.min(maxResults, 50) : defaults.maxResults,
+            hideBelowMedium: this.hideBelowMediumOption ? this.hideBelowMediumOption.checked : defaults.hideBelowMedium
+        };
+        
+        this.preferences = { ...this.preferences, resultFilters };
+        this.saveUserPreferences();
+        this.updateResultFilterControls();
+        this.renderResults();
+    }
+    
+    updateResultFilterControls() {
+        const resultFilters = this.getResultFilters();
+        if (this.minSimilarityOption) this.minSimilarityOption.value = resultFilters.minSimilarity;
+        if (this.minSimilarityValue) this.minSimilarityValue.textContent = `${resultFilters.minSimilarity}%`;
+        // Leave the field alone while it is being typed into
+        if (this.maxResultsOption && document.activeElement !== this.maxResultsOption) {
+            this.maxResultsOption.value = resultFilters.maxResults;
+        }
+        if (this.hideBelowMediumOption) this.hideBelowMediumOption.checked = resultFilters.hideBelowMedium;
+    }
+    
+    /**
+     * Lowest similarity (0-1) a result needs to be shown
+     */
+    getMinimumSimilarity() {
+        const resultFilters = this.getResultFilters();
+        const mediumBand = this.CONFIDENCE_BANDS.find(band => band.level === 'medium');
+        const minimum = resultFilters.hideBelowMedium
+            ? Math.max(resultFilters.minSimilarity, mediumBand.min)
+            : resultFilters.minSimilarity;
+        return minimum / 100;
+    }
+    
+    /**
+     * Add a search provider so it can be selected by ID
+     */
+    registerSearchProvider(provider) {
+        this.searchProviders.set(provider.id, provider);
+    }
+    
+    /**
+     * Get the provider searches currently go to
+     */
+    getSearchProvider() {
+        return this.searchProviders.get(this.activeProviderId) || this.searchProviders.get('tracemoe');
+    }
+    
+    /**
+     * Display search results
+     */
+    displayResults(results) {
+        this.currentResults = results;
+        this.renderResults();
+        
+        if (this.resultsSection) {
+            this.resultsSection.classList.add('show');
+        }
+        
+        setTimeout(() => {
+            if (this.resultsSection) {
+                this.resultsSection.scrollIntoView({ 
+                    behavior: 'smooth', 
+                    block: 'start' 
+                });
+            }
+        }, 300);
+    }
+    
+    /**
+     * Render the current results with the active preferences
+     */
+    renderResults() {
+        if (!this.currentResults) return;
+        
+        const visibleResults = this.filterAdultResults(this.currentResults);
+        const minimumSimilarity = this.getMinimumSimilarity();
+        const filteredResults = visibleResults
+            .filter(result => result.similarity >= minimumSimilarity)
+            .sort((a, b) => b.similarity - a.similarity);
+        const groups = this.groupResults(filteredResults).slice(0, this.getResultFilters().maxResults);
+        
+        // Filled while rendering; card buttons refer to results by index
+        this.displayedResults = [];
+        const resultsHTML = this.generateResultsHTML(groups, {
+            hiddenAdultCount: this.currentResults.length - visibleResults.length,
+            belowThresholdCount: visibleResults.length - filteredResults.length
+        });
+        if (this.resultsContainer) {
+            this.resultsContainer.innerHTML = resultsHTML;
+        }
+    }
+    
+    /**
+     * Group results by show, merging nearby matches within an episode into scenes.
+     * Expects results sorted by similarity, best first.
+     */
+    groupResults(results) {
+        const groups = new Map();
+        results.forEach(result => {
+            const key = result.anilistId || result.filename;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(result);
+        });
+        
+        // Squaring favours a few strong matches over many weak ones
+        const weigh = list => list.reduce((sum, result) => sum + result.similarity ** 2, 0);
+        const totalWeight = weigh(results);
+        
+        return Array.from(groups.values()).map(groupResults => {
+            const scenes = this.mergeScenes(groupResults);
+            return {
+                best: scenes[0],
+                scenes,
+                matchCount: groupResults.length,
+                episodeCount: new Set(scenes.map(scene => String(scene.episode))).size,
+                similarity: scenes[0].similarity,
+                confidence: totalWeight > 0 ? weigh(groupResults) / totalWeight : 0
+            };
+        }).sort((a, b) => b.similarity - a.similarity);
+    }
+    
+    /**
+     * Merge overlapping or adjacent from/to ranges within each episode.
+     * A merged scene keeps the fields of its best match.
+     */
+    mergeScenes(results) {
+        const byEpisode = new Map();
+        results.forEach(result => {
+            const key = String(result.episode);
+            if (!byEpisode.has(key)) {
+                byEpisode.set(key, []);
+            }
+            byEpisode.get(key).push(result);
+        });
+        
+        const scenes = [];
+        byEpisode.forEach(episodeResults => {
+            const timed = episodeResults
+                .filter(result => typeof result.from === 'number' && typeof result.to === 'number')
+                .sort((a, b) => a.from - b.from);
+            let current = null;
+            
+            timed.forEach(result => {
+                if (current && result.from <= current.to + this.SCENE_MERGE_GAP) {
+                    const best = result.similarity > current.similarity ? result : current;
+                    current = {
+                        ...best,
+                        from: current.from,
+                        to: Math.max(current.to, result.to),
+                        matchCount: current.matchCount + 1
+                    };
+                } else {
+                    if (current) scenes.push(current);
+                    current = { ...result, matchCount: 1 };
+                }
+            });
+            if (current) scenes.push(current);
+            
+            episodeResults
+                .filter(result => !timed.includes(result))
+                .forEach(result => scenes.push({ ...result, matchCount: 1 }));
+        });
+        
+        return scenes.sort((a, b) => b.similarity - a.similarity);
+    }
+    
+    /**
+     * Adult content handling. isAdult is true, false or null (unknown); hiding keeps only what
+     * AniList confirmed as not adult, so results without AniList data (e.g. cached from before
+     * the setting changed) stay hidden.
+     */
+    isAdultHidden(isAdult) {
+        return this.preferences.adultContent === 'hide' && isAdult !== false;
+    }
+    
+    filterAdultResults(results) {
+        return results.filter(result => !this.isAdultHidden(result.isAdult));
+    }
+    
+    shouldBlurAdult(isAdult) {
+        return Boolean(isAdult) && this.preferences.adultContent === 'blur';
+    }
+    
+    toAdultFlag(value) {
+        return typeof value === 'boolean' ? value : null;
+    }
+    
+    /**
+     * Blur the clip player or compare canvas for an adult result until it is clicked
+     */
+    setAdultMediaBlur(element, blurred) {
+        element.classList.toggle('adult-blur-media', blurred);
+        if (blurred) {
+            element.title = this.t('result.adultReveal');
+        } else {
+            element.removeAttribute('title');
+        }
+    }
+    
+    /**
+     * Unblur a single adult thumbnail or title. The first click only reveals.
+     */
+    revealAdultContent(element, event) {
+        event.preventDefault();
+        event.stopPropagation();
+        element.classList.remove('adult-blur');
+        element.removeAttribute('title');
+    }
+    
+    /**
+     * Generate results HTML
+     */
+    generateResultsHTML(groups, { hiddenAdultCount = 0, belowThresholdCount = 0 } = {}) {
+        let hiddenNote = hiddenAdultCount > 0
+            ? `<p class="adult-hidden-note">${this.t('results.hiddenAdult', { count: hiddenAdultCount })}</p>`
+            : '';
+        if (belowThresholdCount > 0) {
+            hiddenNote += `<p class="filtered-results-note">${this.t('results.belowThreshold', { count: belowThresholdCount })}</p>`;
+        }
+        
+        if (!groups.length) {
+            return hiddenNote + this.generateNoResultsHTML();
+        }
+        
+        if (groups[0].similarity < this.LOW_SIMILARITY_WARNING) {
+            hiddenNote = `
+                <div class="low-similarity-warning" role="note">
+                    ${this.t('results.lowSimilarity', {
+                        similarity: (groups[0].similarity * 100).toFixed(1),
+                        threshold: this.LOW_SIMILARITY_WARNING * 100
+                    })}
+                </div>
+            ` + hiddenNote;
+        }
+        
+        const resultsTitle = `
+            <h3 class="results-title">
+                🎯 ${this.t('results.title')}
+                <span style="font-size: 0.8em; color: var(--text-muted);">${this.t('results.showCount', { count: groups.length })}</span>
+            </h3>
+            ${hiddenNote}
+        `;
+        
+        const resultItems = groups.map((group, rank) => {
+            const index = this.displayedResults.push(group.best) - 1;
+            return this.generateResultItemHTML(group.best, index, group, rank);
+        }).join('');
+        
+        return resultsTitle + resultItems;
+    }
+    
+    /**
+     * Generate result item HTML. `index` points into displayedResults; `rank` is the card's position.
+     */
+    generateResultItemHTML(result, index, group = null, rank = index) {
+        const title = this.extractAnimeTitle(result);
+        const episode = this.formatResultEpisode(result);
+        const releaseInfo = this.formatReleaseInfo(result);
+        const similarity = ((result.similarity || 0) * 100).toFixed(1);
+        const confidence = this.getConfidenceLevel(similarity);
+        const isTopMatch = rank === 0;
+        const timestamp = this.formatTimestamp(result.from, result.to);
+        const blurAdult = this.shouldBlurAdult(result.isAdult);
+        
+        return `
+            <div class="result-item ${isTopMatch ? 'top-match' : ''}" data-similarity="${similarity}">
+                <div class="result-header">
+                    <span class="result-rank">#${rank + 1}</span>
+                    <span class="result-confidence ${confidence.class}">${confidence.text}</span>
+                    <span class="result-similarity">${similarity}%</span>
+                </div>
+                
+                <div class="result-info">
+                    <h4>${this.escapeHtml(title)}</h4>
+                    <div class="result-episode">${this.escapeHtml(episode)}</div>
+                    ${releaseInfo ? `<div class="result-release" title="${this.escapeHtml(result.filename)}">🏷️ ${this.escapeHtml(releaseInfo)}</div>` : ''}
+                    ${timestamp ? `<div class="result-timestamp">⏰ ${timestamp}</div>` : ''}
+                    ${result.frameMatches ? `
+                        <div class="result-frames">
+                            ${this.t('result.frames', { matched: result.frameMatches, frames: this.t('count.frames', { count: result.frameCount }) })}
+                        </div>
+                    ` : ''}
+                    ${group && group.matchCount > 1 ? `
+                        <div class="result-combined" title="${this.t('result.combinedTitle')}">
+                            ${this.t('result.combined', { confidence: (group.confidence * 100).toFixed(0), count: group.matchCount })}
+                        </div>
+                    ` : ''}
+                </div>
+                
+                ${result.image ? `
+                    <div class="result-media ${blurAdult ? 'adult-blur' : ''}" ${blurAdult ? `title="${this.t('result.adultReveal')}"` : ''}>
+                        <img src="${this.escapeHtml(result.image)}" 
+                             alt="${this.escapeHtml(this.t('result.sceneAlt', { title }))}" 
+                             class="result-image" 
+                             loading="lazy"
+                             onerror="this.style.display='none'">
+                    </div>
+                ` : ''}
+                
+                <div class="result-actions">
+                    ${result.video ? `
+                        <a href="${this.escapeHtml(result.video)}" 
+                           target="_blank" 
+                           rel="noopener noreferrer" 
+                           class="result-link clip-link"
+                           data-result-index="${index}"
+                           title="${this.t('result.watchClipTitle')}">
+                            ${this.t('result.watchClip')}
+                        </a>
+                    ` : ''}
+                    <details class="copy-menu" data-result-index="${index}">
+                        <summary class="result-link" title="${this.t('result.copyTitle')}">${this.t('result.copy')}</summary>
+                        <div class="copy-menu-list">
+                            ${['markdown', 'bbcode', 'plain', 'discord'].map(format => `
+                                <button type="button" data-copy-format="${format}">${this.t(`copy.${format}`)}</button>
+                            `).join('')}
+                        </div>
+                    </details>
+                    ${result.anilistId ? `
+                        <button type="button" 
+                                class="result-link share-result" 
+                                data-result-index="${index}"
+                                title="${this.t('result.shareTitle')}">
+                            ${this.t('result.share')}
+                        </button>
+                    ` : ''}
+                    ${result.image ? `
+                        <button type="button" 
+                                class="result-link compare-toggle" 
+                                data-result-index="${index}"
+                                title="${this.t('result.compareTitle')}">
+                            ${this.t('result.compare')}
+                        </button>
+                    ` : ''}
+                    ${result.anilistId ? `
+                        <a href="https://anilist.co/anime/${this.getAnilistId(result)}" 
+                           target="_blank" 
+                           rel="noopener noreferrer" 
+                           class="result-link"
+                           title="${this.t('result.anilistTitle')}">
+                            ${this.t('result.anilistPage')}
+                        </a>
+                        <button type="button" 
+                                class="result-link details-toggle" 
+                                data-result-index="${index}"
+                                aria-expanded="false"
+                                aria-controls="resultDetails${index}">
+                            ${this.t('result.details')}
+                        </button>
+                    ` : ''}
+                </div>
+                
+                ${group && group.scenes.length > 1 ? this.generateSceneListHTML(group) : ''}
+                
+                ${result.anilistId ? `<div class="result-details" id="resultDetails${index}" hidden></div>` : ''}
+            </div>
+        `;
+    }
+    
+    /**
+     * Expandable list of every merged scene for one show
+     */
+    generateSceneListHTML(group) {
+        const sceneItems = group.scenes.map(scene => {
+            const index = this.displayedResults.push(scene) - 1;
+            const timestamp = this.formatTimestamp(scene.from, scene.to);
+            return `
+                <li class="scene-item">
+                    <span class="scene-episode">${this.escapeHtml(this.formatResultEpisode(scene))}</span>
+                    ${timestamp ? `<span class="scene-time">⏰ ${timestamp}</span>` : ''}
+                    <span class="scene-similarity">${((scene.similarity || 0) * 100).toFixed(1)}%${scene.matchCount > 1 ? ` ×${scene.matchCount}` : ''}</span>
+                    <span class="scene-actions">
+                        ${scene.video ? `<a href="${this.escapeHtml(scene.video)}" target="_blank" rel="noopener noreferrer" class="clip-link" data-result-index="${index}" title="${this.t('result.watchClipTitle')}">📺</a>` : ''}
+                        ${scene.image ? `<button type="button" class="compare-toggle" data-result-index="${index}" title="${this.t('result.compareTitle')}">🔍</button>` : ''}
+                    </span>
+                </li>
+            `;
+        }).join('');
+        
+        return `
+            <details class="result-scenes">
+                <summary>${this.t('result.scenes', {
+                    scenes: this.t('count.scenes', { count: group.scenes.length }),
+                    episodes: this.t('count.episodes', { count: group.episodeCount })
+                })}</summary>
+                <ul class="scene-list">${sceneItems}</ul>
+            </details>
+        `;
+    }
+    
+    /**
+     * Expand or collapse a result's AniList detail panel, loading the details on first open
+     */
+    async toggleResultDetails(button) {
+        const panel = document.getElementById(button.getAttribute('aria-controls'));
+        const result = this.displayedResults && this.displayedResults[Number(button.dataset.resultIndex)];
+        if (!panel || !result) return;
+        
+        const expanded = button.getAttribute('aria-expanded') === 'true';
+        button.setAttribute('aria-expanded', expanded ? 'false' : 'true');
+        panel.hidden = expanded;
+        
+        if (expanded || panel.dataset.loaded) return;
+        
+        panel.innerHTML = `<p class="details-loading">${this.t('details.loading')}</p>`;
+        try {
+            const media = await this.getAnimeDetails(result.anilistId);
+            panel.innerHTML = this.generateResultDetailsHTML(result, media);
+            panel.dataset.loaded = 'true';
+        } catch (error) {
+            console.warn('Failed to load AniList details:', error);
+            // Fall back to whatever trace.moe already told us
+            panel.innerHTML = this.generateResultDetailsHTML(result, null) +
+                `<p class="details-error">${this.escapeHtml(this.t('details.error', { reason: this.getErrorMessage(error) }))}</p>`;
+        }
+    }
+    
+    /**
+     * Build the detail panel from AniList media, falling back to the search result's own fields
+     */
+    generateResultDetailsHTML(result, media) {
+        const title = (media && media.title) || result.title || {};
+        const synonyms = (media && media.synonyms && media.synonyms.length ? media.synonyms : result.synonyms) || [];
+        const isAdult = media ? media.isAdult : result.isAdult;
+        // AniList enums that have a message of their own; anything newer is shown as sent
+        const label = (prefix, value) => (this.i18n.has(`${prefix}.${value}`) ? this.t(`${prefix}.${value}`) : value);
+        
+        const rows = [
+            [this.t('details.english'), title.english],
+            [this.t('details.romaji'), title.romaji],
+            [this.t('details.native'), title.native],
+            [this.t('details.synonyms'), synonyms.join(', ')]
+        ];
+        
+        if (media) {
+            const season = media.season && media.seasonYear
+                ? this.t('details.seasonYear', { season: label('season', media.season), year: String(media.seasonYear) })
+                : (media.season ? label('season', media.season) : media.seasonYear);
+            const format = [label('format', media.format), media.episodes ? this.t('count.episodes', { count: media.episodes }) : null]
+                .filter(Boolean)
+                .join(' • ');
+            rows.push([this.t('details.season'), season], [this.t('details.format'), format]);
+        }
+        
+        if (isAdult !== null && isAdult !== undefined) {
+            rows.push([this.t('details.adult'), this.t(isAdult ? 'details.yes' : 'details.no')]);
+        }
+        
+        const cover = media && media.coverImage && (media.coverImage.large || media.coverImage.medium);
+        const definitionList = rows
+            .filter(([, value]) => value)
+            .map(([label, value]) => `<dt>${label}</dt><dd>${this.escapeHtml(String(value))}</dd>`)
+            .join('');
+        
+        return `
+            <div class="details-grid">
+                ${cover ? `
+                    <div class="details-cover-wrap ${this.shouldBlurAdult(isAdult) ? 'adult-blur' : ''}">
+                        <img src="${this.escapeHtml(cover)}" alt="${this.escapeHtml(this.t('details.coverAlt', { title: this.extractAnimeTitle(result) }))}" class="details-cover" loading="lazy">
+                    </div>
+                ` : ''}
+                <dl class="details-list">${definitionList}</dl>
+            </div>
+        `;
+    }
+    
+    /**
+     * AniList details for one ID: memory, then IndexedDB, then the GraphQL API
+     */
+    getAnimeDetails(id) {
+        if (this.animeDetailsCache.has(id)) {
+            return this.animeDetailsCache.get(id);
+        }
+        
+        const request = (async () => {
+            const stored = await this.getStoredAnimeDetails(id);
+            if (stored) return stored;
+            
+            const media = await this.anilistClient.getMedia(id);
+            this.storeAnimeDetails(media);
+            return media;
+        })();
+        
+        // Forget failures so the next click retries
+        request.catch(() => this.animeDetailsCache.delete(id));
+        this.animeDetailsCache.set(id, request);
+        return request;
+    }
+    
+    async getStoredAnimeDetails(id) {
+        const db = await this.dbReady;
+        if (!db) return null;
+        
+        try {
+            const store = db.transaction('anilistMedia').objectStore('anilistMedia');
+            const entry = await this.idbRequest(store.get(Number(id)));
+            if (!entry || Date.now() - entry.fetchedAt > this.ANILIST_CACHE_EXPIRY) return null;
+            return entry.media;
+        } catch (error) {
+            console.warn('Failed to read AniList details cache:', error);
+            return null;
+        }
+    }
+    
+    async storeAnimeDetails(media) {
+        const db = await this.dbReady;
+        if (!db || !media) return;
+        
+        try {
+            const store = db.transaction('anilistMedia', 'readwrite').objectStore('anilistMedia');
+            await this.idbRequest(store.put({ id: media.id, media, fetchedAt: Date.now() }));
+        } catch (error) {
+            console.warn('Failed to store AniList details:', error);
+        }
+    }
+    
+    /**
+     * Extract AniList ID from result
+     */
+    getAnilistId(result) {
+        return result.anilistId;
+    }
+    
+    /**
+     * Format timestamp range
+     */
+    formatTimestamp(from, to) {
+        if (from === undefined || from === null || to === undefined || to === null) return null;
+        
+        if (from === to) {
+            return this.t('result.at', { time: this.formatSeconds(from) });
+        } else {
+            return `${this.formatSeconds(from)} - ${this.formatSeconds(to)}`;
+        }
+    }
+    
+    /**
+     * Format seconds as m:ss
+     */
+    formatSeconds(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        return `${minutes}:${secs.toString().padStart(2, '0')}`;
+    }
+    
+    /**
+     * Enhanced anime title extraction
+     */
+    extractAnimeTitle(result) {
+        if (result && result.title) {
+            const title = result.title;
+            return title.english || title.romaji || title.native || this.t('result.unknownTitle');
+        }
+        
+        if (result && result.filename) {
+            return this.extractTitleFromFilename(result.filename);
+        }
+        
+        return (result && result.anime) || this.t('result.unknownAnime');
+    }
+    
+    /**
+     * Extract title from filename
+     */
+    extractTitleFromFilename(filename) {
+        return this.parseFilename(filename).title || this.t('result.unknownAnime');
+    }
+    
+    /**
+     * Structured release name fields, cached per file name
+     */
+    parseFilename(filename) {
+        if (!this.releaseNameCache.has(filename)) {
+            this.releaseNameCache.set(filename, this.releaseNameParser.parse(filename));
+        }
+        return this.releaseNameCache.get(filename);
+    }
+    
+    /**
+     * Format episode. The release fields fill in what trace.moe leaves out and add season and version.
+     */
+    formatEpisode(episode, release = null) {
+        const season = release && release.season ? `${this.t('episode.season', { season: String(release.season) })} • ` : '';
+        const version = release && release.version ? ` (v${release.version})` : '';
+        
+        if (episode === null || episode === undefined || episode === '') {
+            if (release && release.episode !== null) {
+                const range = release.episodeEnd
+                    ? this.t('episode.range', { from: String(release.episode), to: String(release.episodeEnd) })
+                    : this.t('episode.single', { episode: String(release.episode) });
+                return `${season}${range}${version}`;
+            }
+            return `${season}${this.t('episode.unknown')}`;
+        }
+        
+        if (Array.isArray(episode)) {
+            return `${season}${this.t('episode.list', { list: episode.join(', ') })}`;
+        }
+        
+        if (typeof episode === 'string' && episode.includes('|')) {
+            const [ep, total] = episode.split('|');
+            return `${season}${this.t('episode.ofTotal', { episode: ep, total })}`;
+        }
+        
+        return `${season}${this.t('episode.single', { episode: String(episode) })}${version}`;
+    }
+    
+    formatResultEpisode(result) {
+        return this.formatEpisode(result.episode, result.filename ? this.parseFilename(result.filename) : null);
+    }
+    
+    /**
+     * Group, resolution, codecs and CRC from the release name, for the result card
+     */
+    formatReleaseInfo(result) {
+        if (!result.filename) return '';
+        
+        const release = this.parseFilename(result.filename);
+        return [
+            release.group ? `[${release.group}]` : null,
+            release.source,
+            release.resolution,
+            release.videoCodec,
+            release.bitDepth,
+            release.audioCodec,
+            release.crc ? `CRC ${release.crc}` : null
+        ].filter(Boolean).join(' • ');
+    }
+    
+    /**
+     * Get confidence level
+     */
+    getConfidenceLevel(similarity) {
+        const sim = parseFloat(similarity);
+        const band = this.CONFIDENCE_BANDS.find(band => sim >= band.min) || this.CONFIDENCE_BANDS[this.CONFIDENCE_BANDS.length - 1];
+        return { class: band.class, text: this.t(`confidence.${band.level}`) };
+    }
+    
+    /**
+     * Generate no results HTML
+     */
+    generateNoResultsHTML() {
+        return `
+            <div class="result-item">
+                <div class="result-info">
+                    <h4>${this.t('noResults.title')}</h4>
+                    <div class="result-episode">
+                        ${this.t('noResults.body')}
+                        <br><br>
+                        <strong>${this.t('noResults.tipsTitle')}</strong><br>
+                        ${[1, 2, 3, 4, 5].map(n => `• ${this.t(`noResults.tip${n}`)}`).join('<br>')}<br><br>
+                        
+                        <strong>${this.t('noResults.techTitle')}</strong><br>
+                        ${[1, 2, 3, 4].map(n => `• ${this.t(`noResults.techTip${n}`)}`).join('<br>')}
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Show no results
+     */
+    showNoResults() {
+        const resultsHTML = `
+            <h3 class="results-title">
+                🔍 ${this.t('results.title')}
+                <span style="font-size: 0.8em; color: var(--text-muted);">${this.t('results.zeroFound')}</span>
+            </h3>
+            ${this.generateNoResultsHTML()}
+        `;
+        
+        if (this.resultsContainer) {
+            this.resultsContainer.innerHTML = resultsHTML;
+        }
+        
+        if (this.resultsSection) {
+            this.resultsSection.classList.add('show');
+        }
+        this.showStatus(this.t('status.noMatches'), 'error');
+    }
+    
+    /**
+     * Clear results
+     */
+    clearResults() {
+        if (this.resultsContainer) {
+            this.resultsContainer.innerHTML = '';
+        }
+        if (this.resultsSection) {
+            this.resultsSection.classList.remove('show');
+        }
+    }
+    
+    /**
+     * Show status message
+     */
+    showStatus(message, type = 'info') {
+        if (!this.statusMessage) return;
+        
+        this.statusMessage.textContent = message;
+        this.statusMessage.className = `status-message show ${type}`;
+        
+        if (type !== 'error') {
+            setTimeout(() => this.clearStatus(), 5000);
+        }
+        
+        console.log(`[${type.toUpperCase()}] ${message}`);
+    }
+    
+    /**
+     * Clear status message
+     */
+    clearStatus() {
+        if (this.statusMessage) {
+            this.statusMessage.classList.remove('show');
+        }
+    }
+    
+    /**
+     * History Management
+     */
+    async addToHistory(input, results) {
+        const isUrl = typeof input === 'string';
+        // Batch searches can finish within the same millisecond
+        const id = Math.max(Date.now(), this.lastHistoryId + 1);
+        this.lastHistoryId = id;
+        
+        const url = isUrl ? (this.normalizeUrl(input) || input) : null;
+        
+        const entry = {
+            id,
+            timestamp: Date.now(),
+            input: isUrl ? url : input.name,
+            inputType: isUrl ? 'url' : 'file',
+            url,
+            fileName: isUrl ? null : input.name,
+            resultsCount: results.length,
+            topResult: results[0] ? this.extractAnimeTitle(results[0]) : null,
+            topResultAdult: results[0] ? this.toAdultFlag(results[0].isAdult) : false,
+            similarity: results[0] ? results[0].similarity : 0,
+            thumbnail: null,
+            results
+        };
+        
+        let evicted = 0;
+        const db = await this.dbReady;
+        if (!db) {
+            evicted = this.saveFallbackHistory([{ ...entry, results: null }, ...this.loadFallbackHistory()]);
+        } else {
+            try {
+                entry.thumbnail = isUrl ? null : await this.createHistoryThumbnail(input);
+                evicted = await this.putHistoryEntries(db, [entry]);
+            } catch (error) {
+                console.warn('Failed to save search history:', error);
+                return;
+            }
+        }
+        
+        if (evicted > 0) {
+            this.showStatus(this.t('status.historyEvicted', { count: evicted }), 'warning');
+        }
+        this.updateStats();
+        if (this.historyPanel && this.historyPanel.classList.contains('show')) {
+            this.renderHistory();
+        }
+    }
+    
+    /**
+     * History is not capped; when a write hits the storage quota, the oldest entries are
+     * dropped and the write retried. Returns how many entries were dropped.
+     */
+    async putHistoryEntries(db, entries) {
+        let evicted = 0;
         
-        while (attempt < maxRetries) {
+        for (;;) {
             try {
-                const searchUrl = this.buildSearchUrl();
-                const requestOptions = this.buildRequestOptions();
-                
-                console.log('Making API request to:', searchUrl);
-                const requestStart = performance.now();
-                
-                const response = await fetch(searchUrl, {
-                    ...requestOptions,
-                    signal: this.abortController ? this.abortController.signal : undefined
-                });
-                
-                const requestEnd = performance.now();
-                const responseTime = requestEnd - requestStart;
-                
-                if (!response.ok) {
-                    throw new Error(`API request failed: ${response.status} ${response.statusText}`);
-                }
-                
-                const data = await response.json();
-                console.log('API response:', data);
-                
-                if (data.error) {
-                    throw new Error(data.error);
-                }
-                
-                const results = data.result || [];
-                
-                // Cache successful results
-                if (results.length > 0) {
-                    this.searchCache.set(cacheKey, {
-                        data: results,
-                        timestamp: Date.now(),
-                        responseTime: responseTime
-                    });
+                const transaction = db.transaction('historyEntries', 'readwrite');
+                const store = transaction.objectStore('historyEntries');
+                for (const entry of entries) {
+                    await this.idbRequest(store.put(entry));
                 }
-                
-                // Update metrics
-                this.metrics.avgResponseTime = (this.metrics.avgResponseTime + responseTime) / 2;
-                
-                return results;
-                
+                // Quota errors can surface when the transaction commits rather than on put()
+                await this.idbTransaction(transaction);
+                return evicted;
             } catch (error) {
-                attempt++;
+                if (!this.isQuotaError(error)) throw error;
                 
-                if (error.name === 'AbortError') {
-                    throw error;
+                const dropped = await this.evictOldestHistory(db, this.HISTORY_EVICT_BATCH);
+                if (dropped === 0) throw error;
+                evicted += dropped;
+            }
+        }
+    }
+    
+    async evictOldestHistory(db, count) {
+        const store = db.transaction('historyEntries', 'readwrite').objectStore('historyEntries');
+        let dropped = 0;
+        
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index('timestamp').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor || dropped >= count) {
+                    resolve();
+                    return;
                 }
-                
-                if (attempt === maxRetries) {
-                    throw error;
+                cursor.delete();
+                dropped++;
+                cursor.continue();
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+        return dropped;
+    }
+    
+    isQuotaError(error) {
+        // Older Firefox reports a full localStorage under its own name
+        return Boolean(error) && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+    }
+    
+    /**
+     * History for browsers without IndexedDB (e.g. some private modes): newest-first summaries
+     * in localStorage, without thumbnails or results. Migrated into IndexedDB once it is available.
+     */
+    loadFallbackHistory() {
+        try {
+            const entries = JSON.parse(localStorage.getItem(this.HISTORY_STORAGE_KEY) || '[]');
+            return Array.isArray(entries) ? entries : [];
+        } catch (error) {
+            console.warn('Failed to read search history:', error);
+            return [];
+        }
+    }
+    
+    /**
+     * Returns how many of the oldest entries had to be dropped to fit
+     */
+    saveFallbackHistory(entries) {
+        let kept = entries;
+        
+        for (;;) {
+            try {
+                localStorage.setItem(this.HISTORY_STORAGE_KEY, JSON.stringify(kept));
+                return entries.length - kept.length;
+            } catch (error) {
+                if (!this.isQuotaError(error) || kept.length <= 1) {
+                    console.warn('Failed to save search history:', error);
+                    return 0;
                 }
-                
-                // Exponential backoff with jitter
-                const delay = Math.pow(2, attempt) * 1000 + Math.random() * 1000;
-                await this.sleep(delay);
+                kept = kept.slice(0, Math.max(1, kept.length - this.HISTORY_EVICT_BATCH));
             }
         }
     }
     
     /**
-     * Build search URL
+     * Move history saved by older versions, or while IndexedDB was unavailable, from localStorage into IndexedDB
      */
-    buildSearchUrl() {
-        const urlValue = this.urlInput ? this.urlInput.value.trim() : '';
+    async migrateSearchHistory() {
+        const db = await this.dbReady;
+        if (!db) return;
         
-        if (urlValue) {
-            return `${this.API_BASE_URL}${this.API_ENDPOINTS.search}?url=${encodeURIComponent(urlValue)}`;
-        } else {
-            return `${this.API_BASE_URL}${this.API_ENDPOINTS.search}`;
+        const legacyHistory = this.loadFallbackHistory();
+        if (legacyHistory.length > 0) {
+            try {
+                const store = db.transaction('historyEntries', 'readwrite').objectStore('historyEntries');
+                for (const item of legacyHistory) {
+                    // Entries may already hold a thumbnail and results
+                    const stored = await this.idbRequest(store.get(item.id));
+                    await this.idbRequest(store.put({
+                        url: item.inputType === 'url' ? item.input : null,
+                        fileName: item.inputType === 'file' ? item.input : null,
+                        thumbnail: null,
+                        results: null,
+                        ...stored,
+                        ...item,
+                        topResultAdult: this.toAdultFlag(item.topResultAdult),
+                        timestamp: new Date(item.timestamp).getTime()
+                    }));
+                }
+                console.log(`Migrated ${legacyHistory.length} history entries to IndexedDB`);
+            } catch (error) {
+                console.warn('Failed to migrate search history:', error);
+                return;
+            }
+        }
+        
+        localStorage.removeItem(this.HISTORY_STORAGE_KEY);
+    }
+    
+    async getHistoryEntry(id) {
+        const db = await this.dbReady;
+        if (!db) return this.loadFallbackHistory().find(entry => entry.id === id) || null;
+        
+        try {
+            const store = db.transaction('historyEntries').objectStore('historyEntries');
+            return (await this.idbRequest(store.get(id))) || null;
+        } catch (error) {
+            console.warn('Failed to read history entry:', error);
+            return null;
+        }
+    }
+    
+    async countHistoryEntries() {
+        const db = await this.dbReady;
+        if (!db) return this.loadFallbackHistory().length;
+        
+        try {
+            const store = db.transaction('historyEntries').objectStore('historyEntries');
+            return await this.idbRequest(store.count());
+        } catch (error) {
+            console.warn('Failed to count history entries:', error);
+            return 0;
         }
     }
     
     /**
-     * Build request options
+     * Read one page of history through an index cursor, applying the filters as it goes.
+     * Resolves to { items, hasMore }.
      */
-    buildRequestOptions() {
-        const urlValue = this.urlInput ? this.urlInput.value.trim() : '';
+    async queryHistory(filters, offset, limit) {
+        const db = await this.dbReady;
+        const bySimilarity = filters.sort.startsWith('similarity');
+        const direction = filters.sort === 'oldest' || filters.sort === 'similarity-asc' ? 'next' : 'prev';
         
-        if (urlValue) {
-            return {
-                method: 'GET',
-                headers: {
-                    'Accept': 'application/json'
-                }
-            };
-        } else {
-            const formData = new FormData();
-            formData.append('image', this.currentFile);
+        // The localStorage fallback is small enough to filter and sort in memory
+        if (!db) {
+            const field = bySimilarity ? 'similarity' : 'timestamp';
+            const matching = this.loadFallbackHistory()
+                .filter(entry => this.matchesHistoryFilters(entry, filters))
+                .sort((a, b) => direction === 'next' ? a[field] - b[field] : b[field] - a[field]);
+            return { items: matching.slice(offset, offset + limit), hasMore: matching.length > offset + limit };
+        }
+        
+        const index = db.transaction('historyEntries')
+            .objectStore('historyEntries')
+            .index(bySimilarity ? 'similarity' : 'timestamp');
+        
+        // Date sorting can skip straight to the requested range
+        let range = null;
+        if (!bySimilarity && (filters.from || filters.to)) {
+            range = IDBKeyRange.bound(filters.from || 0, filters.to || Number.MAX_SAFE_INTEGER);
+        }
+        
+        return new Promise((resolve, reject) => {
+            const items = [];
+            let skipped = 0;
+            const request = index.openCursor(range, direction);
             
-            return {
-                method: 'POST',
-                body: formData,
-                // Do not set forbidden headers like User-Agent in browsers
-                headers: {}
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve({ items, hasMore: false });
+                    return;
+                }
+                
+                if (this.matchesHistoryFilters(cursor.value, filters)) {
+                    if (skipped < offset) {
+                        skipped++;
+                    } else if (items.length < limit) {
+                        items.push(cursor.value);
+                    } else {
+                        resolve({ items, hasMore: true });
+                        return;
+                    }
+                }
+                cursor.continue();
             };
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    matchesHistoryFilters(entry, filters) {
+        if (filters.type !== 'all' && entry.inputType !== filters.type) return false;
+        if (filters.hasResults && !entry.resultsCount) return false;
+        if (filters.from && entry.timestamp < filters.from) return false;
+        if (filters.to && entry.timestamp > filters.to) return false;
+        
+        if (filters.text) {
+            const titles = (entry.results || []).map(result => this.extractAnimeTitle(result));
+            const haystack = [entry.input, entry.topResult, ...titles].filter(Boolean).join('\n').toLowerCase();
+            if (!haystack.includes(filters.text)) return false;
         }
+        
+        return true;
     }
     
     /**
-     * Display search results
+     * Current values of the history panel's search, filter and sort controls
      */
-    displayResults(results) {
-        const filteredResults = results
-            .filter(result => result.similarity > 0.1)
-            .sort((a, b) => b.similarity - a.similarity)
-            .slice(0, 10);
+    getHistoryFilters() {
+        const dateValue = (input, endOfDay) => {
+            if (!input || !input.value) return null;
+            const time = new Date(`${input.value}T${endOfDay ? '23:59:59.999' : '00:00:00'}`).getTime();
+            return Number.isNaN(time) ? null : time;
+        };
         
-        const resultsHTML = this.generateResultsHTML(filteredResults);
-        if (this.resultsContainer) {
-            this.resultsContainer.innerHTML = resultsHTML;
+        return {
+            text: this.historySearchInput ? this.historySearchInput.value.trim().toLowerCase() : '',
+            type: this.historyTypeFilter ? this.historyTypeFilter.value : 'all',
+            hasResults: this.historyHasResultsFilter ? this.historyHasResultsFilter.checked : false,
+            from: dateValue(this.historyFromDate, false),
+            to: dateValue(this.historyToDate, true),
+            sort: this.historySortSelect ? this.historySortSelect.value : 'newest'
+        };
+    }
+    
+    hasActiveHistoryFilters(filters) {
+        return Boolean(filters.text || filters.type !== 'all' || filters.hasResults || filters.from || filters.to);
+    }
+    
+    /**
+     * Small JPEG of the query image. Videos and unreadable files get no thumbnail.
+     */
+    createHistoryThumbnail(file) {
+        if (!file || !file.type || !file.type.startsWith('image/')) {
+            return Promise.resolve(null);
         }
         
-        if (this.resultsSection) {
-            this.resultsSection.classList.add('show');
+        return new Promise((resolve) => {
+            const img = new Image();
+            const url = URL.createObjectURL(file);
+            
+            img.onload = () => {
+                URL.revokeObjectURL(url);
+                const scale = Math.min(1, this.HISTORY_THUMBNAIL_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(img.naturalWidth * scale);
+                canvas.height = Math.round(img.naturalHeight * scale);
+                const ctx = canvas.getContext('2d');
+                ctx.imageSmoothingQuality = 'high';
+                ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+                canvas.toBlob(blob => resolve(blob), 'image/jpeg', 0.85);
+            };
+            
+            img.onerror = () => {
+                URL.revokeObjectURL(url);
+                resolve(null);
+            };
+            
+            img.src = url;
+        });
+    }
+    
+    /**
+     * Put a history entry's query back in place: the URL field, or its thumbnail as the image
+     * (the original file is not stored). Returns false when nothing could be restored.
+     */
+    async restoreHistoryInput(entry) {
+        if (entry.inputType === 'url') {
+            this.removeImageSilently();
+            if (this.urlInput) this.urlInput.value = entry.url || entry.input;
+            this.clearResults();
+            this.updateSearchButtonState();
+            return true;
         }
         
-        setTimeout(() => {
-            if (this.resultsSection) {
-                this.resultsSection.scrollIntoView({ 
-                    behavior: 'smooth', 
-                    block: 'start' 
-                });
-            }
-        }, 300);
+        if (!entry.thumbnail) {
+            this.showStatus(this.t('status.noSavedImage'), 'error');
+            return false;
+        }
+        
+        if (this.urlInput) this.urlInput.value = '';
+        const file = new File([entry.thumbnail], entry.fileName || 'history.jpg', { type: entry.thumbnail.type });
+        await this.setCurrentFile(file);
+        return true;
     }
     
     /**
-     * Generate results HTML
+     * Drop the current image without the status message removeImage shows
      */
-    generateResultsHTML(results) {
-        if (!results.length) {
-            return this.generateNoResultsHTML();
-        }
+    removeImageSilently() {
+        this.cancelCrop();
+        this.clearBorderTrim();
+        this.currentFile = null;
+        this.currentFileMetadata = null;
+        if (this.previewImage) this.previewImage.src = '';
+        if (this.previewSection) this.previewSection.classList.remove('show');
+        if (this.fileInput) this.fileInput.value = '';
+    }
+    
+    /**
+     * Show a past search again without using any quota
+     */
+    async restoreHistoryEntry(id) {
+        if (this.isSearching) return;
         
-        const resultsTitle = `
-            <h3 class="results-title">
-                🎯 Search Results
-                <span style="font-size: 0.8em; color: var(--text-muted);">(${results.length} found)</span>
-            </h3>
-        `;
+        const entry = await this.getHistoryEntry(id);
+        if (!entry || !(await this.restoreHistoryInput(entry))) return;
         
-        const resultItems = results.map((result, index) => {
-            return this.generateResultItemHTML(result, index);
-        }).join('');
+        this.closeHistory();
+        if (entry.results && entry.results.length > 0) {
+            this.displayResults(entry.results);
+            this.showStatus(this.t('status.historyRestored', { time: this.formatRelativeTime(entry.timestamp) }), 'success');
+        } else if (entry.results) {
+            this.showNoResults();
+        } else {
+            this.showStatus(this.t('status.urlRestored'), 'info');
+        }
+    }
+    
+    async rerunHistoryEntry(id) {
+        if (this.isSearching) return;
         
-        return resultsTitle + resultItems;
+        const entry = await this.getHistoryEntry(id);
+        if (!entry || !(await this.restoreHistoryInput(entry))) return;
+        
+        this.closeHistory();
+        await this.searchAnime();
+    }
+    
+    toggleHistory() {
+        if (this.historyPanel && this.historyPanel.classList.contains('show')) {
+            this.closeHistory();
+        } else {
+            this.openHistory();
+        }
+    }
+    
+    openHistory() {
+        this.renderHistory();
+        if (this.historyPanel) {
+            this.historyPanel.classList.add('show');
+        }
+    }
+    
+    closeHistory() {
+        if (this.historyPanel) {
+            this.historyPanel.classList.remove('show');
+        }
     }
     
     /**
-     * Generate result item HTML
+     * Render the first page of history, or append the next one
      */
-    generateResultItemHTML(result, index) {
-        const title = this.extractAnimeTitle(result);
-        const episode = this.formatEpisode(result.episode);
-        const similarity = ((result.similarity || 0) * 100).toFixed(1);
-        const confidence = this.getConfidenceLevel(similarity);
-        const isTopMatch = index === 0;
-        const timestamp = this.formatTimestamp(result.from, result.to);
+    async renderHistory(append = false) {
+        if (!this.historyContent) return;
         
-        return `
-            <div class="result-item ${isTopMatch ? 'top-match' : ''}" data-similarity="${similarity}">
-                <div class="result-header">
-                    <span class="result-rank">#${index + 1}</span>
-                    <span class="result-confidence ${confidence.class}">${confidence.text}</span>
-                    <span class="result-similarity">${similarity}%</span>
-                </div>
-                
-                <div class="result-info">
-                    <h4>${this.escapeHtml(title)}</h4>
-                    <div class="result-episode">${episode}</div>
-                    ${timestamp ? `<div class="result-timestamp">⏰ ${timestamp}</div>` : ''}
-                </div>
-                
-                ${result.image ? `
-                    <div class="result-media">
-                        <img src="${result.image}" 
-                             alt="Scene from ${this.escapeHtml(title)}" 
-                             class="result-image" 
-                             loading="lazy"
-                             onerror="this.style.display='none'">
-                    </div>
-                ` : ''}
-                
-                <div class="result-actions">
-                    ${result.video ? `
-                        <a href="${result.video}" 
-                           target="_blank" 
-                           rel="noopener noreferrer" 
-                           class="result-link"
-                           title="Watch scene clip">
-                            📺 Watch Clip
-                        </a>
-                    ` : ''}
-                    ${result.anilist ? `
-                        <a href="https://anilist.co/anime/${this.getAnilistId(result)}" 
-                           target="_blank" 
-                           rel="noopener noreferrer" 
-                           class="result-link"
-                           title="View on AniList">
-                            📚 AniList Page
-                        </a>
-                    ` : ''}
+        // A newer render makes this one stale
+        const renderId = ++this.historyRenderId;
+        const filters = this.getHistoryFilters();
+        const offset = append ? this.historyRendered : 0;
+        
+        let page;
+        try {
+            page = await this.queryHistory(filters, offset, this.HISTORY_PAGE_SIZE);
+        } catch (error) {
+            console.warn('Failed to load search history:', error);
+            page = { items: [], hasMore: false };
+        }
+        if (renderId !== this.historyRenderId) return;
+        
+        if (!append) {
+            this.historyThumbnailUrls.forEach(url => URL.revokeObjectURL(url));
+            this.historyThumbnailUrls = [];
+            this.historyRendered = 0;
+            
+            if (page.items.length === 0) {
+                const message = this.hasActiveHistoryFilters(filters) ? 'history.noFilterMatches' : 'history.empty';
+                this.historyContent.innerHTML = `<p class="history-empty">${this.t(message)}</p>`;
+                return;
+            }
+            this.historyContent.innerHTML = '';
+        }
+        
+        const loadMore = this.historyContent.querySelector('.history-load-more');
+        if (loadMore) loadMore.remove();
+        
+        this.historyContent.insertAdjacentHTML('beforeend', page.items.map(item => this.generateHistoryItemHTML(item)).join(''));
+        this.historyRendered += page.items.length;
+        
+        if (page.hasMore) {
+            this.historyContent.insertAdjacentHTML('beforeend',
+                `<button type="button" class="secondary-btn history-load-more">${this.t('history.loadMore')}</button>`);
+        }
+    }
+    
+    generateHistoryItemHTML(item) {
+        let thumbnail = '';
+        if (item.thumbnail) {
+            const url = URL.createObjectURL(item.thumbnail);
+            this.historyThumbnailUrls.push(url);
+            thumbnail = `<img src="${url}" alt="">`;
+        } else if (item.inputType === 'url') {
+            thumbnail = `<img src="${this.escapeHtml(item.input)}" alt="" loading="lazy" referrerpolicy="no-referrer" onerror="this.remove()">`;
+        }
+        
+        return `
+            <div class="history-item" data-id="${item.id}" tabindex="0" role="button"
+                 title="${this.t('history.itemTitle')}">
+                <div class="history-thumb">${thumbnail}</div>
+                <div class="history-body">
+                    <div class="history-header">
+                        <span class="history-type">${item.inputType === 'file' ? '📁' : '🔗'}</span>
+                        <span class="history-time">${this.formatRelativeTime(item.timestamp)}</span>
+                    </div>
+                    <div class="history-input">${this.escapeHtml(item.input)}</div>
+                    <div class="history-result">
+                        ${item.resultsCount > 0 
+                            ? `✅ ${this.generateHistoryTitleHTML(item)} (${(item.similarity * 100).toFixed(1)}%)` 
+                            : this.t('results.noMatches')
+                        }
+                    </div>
+                    ${this.generateHistoryRerunHTML(item)}
                 </div>
             </div>
         `;
     }
     
     /**
-     * Extract AniList ID from result
+     * URL searches run again as they were; file searches can only use the stored thumbnail,
+     * so the button says so, and entries without one get no button.
      */
-    getAnilistId(result) {
-        if (typeof result.anilist === 'object' && result.anilist && result.anilist.id) {
-            return result.anilist.id;
+    generateHistoryRerunHTML(item) {
+        if (item.inputType === 'url') {
+            return `<button type="button" class="history-rerun" data-history-action="rerun"
+                            title="${this.t('history.rerunTitle')}">${this.t('history.rerun')}</button>`;
         }
-        return result.anilist;
+        if (!item.thumbnail) return '';
+        
+        return `<button type="button" class="history-rerun" data-history-action="rerun"
+                        title="${this.t('history.rerunThumbnailTitle', { size: this.HISTORY_THUMBNAIL_SIZE })}">${this.t('history.rerunThumbnail')}</button>`;
     }
     
     /**
-     * Format timestamp range
-     */
-    formatTimestamp(from, to) {
-        if (from === undefined || to === undefined) return null;
-        
-        const formatTime = (seconds) => {
-            const minutes = Math.floor(seconds / 60);
-            const secs = Math.floor(seconds % 60);
-            return `${minutes}:${secs.toString().padStart(2, '0')}`;
-        };
+     * History export and import
+    async getAllHistoryEntries() {
+        const db = await this.dbReady;
+        if (!db) return this.loadFallbackHistory();
         
-        if (from === to) {
-            return `At ${formatTime(from)}`;
-        } else {
-            return `${formatTime(from)} - ${formatTime(to)}`;
+        const index = db.transaction('historyEntries').objectStore('historyEntries').index('timestamp');
+        const entries = await this.idbRequest(index.getAll());
+        return entries.reverse();
+    }
+    
+    async exportHistory(format) {
+        try {
+            const entries = await this.getAllHistoryEntries();
+            if (entries.length === 0) {
+                this.showStatus(this.t('status.nothingToExport'), 'info');
+                return;
+            }
+            
+            const date = new Date().toISOString().slice(0, 10);
+            if (format === 'csv') {
+                this.downloadFile(this.historyToCsv(entries), `mrsauce-history-${date}.csv`, 'text/csv');
+            } else {
+                const exported = await Promise.all(entries.map(async entry => ({
+                    ...entry,
+                    thumbnail: entry.thumbnail ? await this.blobToDataUrl(entry.thumbnail) : null
+                })));
+                const payload = {
+                    format: this.HISTORY_EXPORT_FORMAT,
+                    version: this.HISTORY_EXPORT_VERSION,
+                    exportedAt: new Date().toISOString(),
+                    entries: exported
+                };
+                this.downloadFile(JSON.stringify(payload, null, 2), `mrsauce-history-${date}.json`, 'application/json');
+            }
+            
+            this.showStatus(this.t('status.exported', { count: entries.length, format: format.toUpperCase() }), 'success');
+        } catch (error) {
+            this.handleError(error, this.t('error.context.export'));
         }
     }
     
     /**
-     * Enhanced anime title extraction
+     * One row per search, describing its top result
      */
-    extractAnimeTitle(result) {
-        if (result && result.anilist && result.anilist.title) {
-            const title = result.anilist.title;
-            return title.english || title.romaji || title.native || 'Unknown Title';
-        }
+    historyToCsv(entries) {
+        const header = ['date', 'input', 'input_type', 'title', 'episode', 'timestamp', 'similarity'];
+        const rows = entries.map(entry => {
+            const top = entry.results && entry.results[0];
+            return [
+                new Date(entry.timestamp).toISOString(),
+                entry.input,
+                entry.inputType,
+                top ? this.extractAnimeTitle(top) : entry.topResult || '',
+                top && top.episode !== null && top.episode !== undefined ? String(top.episode) : '',
+                top ? this.formatTimestamp(top.from, top.to) || '' : '',
+                entry.resultsCount > 0 ? (entry.similarity * 100).toFixed(1) : ''
+            ];
+        });
         
-        if (result && result.filename) {
-            return this.extractTitleFromFilename(result.filename);
+        return [header, ...rows].map(row => row.map(value => this.escapeCsvValue(value)).join(',')).join('\r\n');
+    }
+    
+    escapeCsvValue(value) {
+        let text = String(value === null || value === undefined ? '' : value);
+        // Keep spreadsheets from evaluating titles or URLs as formulas
+        if (/^[=+\-@\t\r]/.test(text)) {
+            text = `'${text}`;
         }
-        
-        return (result && result.anime) || 'Unknown Anime';
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+    
+    downloadFile(content, filename, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    
+    blobToDataUrl(blob) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(blob);
+        });
     }
     
     /**
-     * Extract title from filename
+     * Merge a JSON export into history. Entries whose id already exists are skipped.
      */
-    extractTitleFromFilename(filename) {
-        if (!filename) return 'Unknown Anime';
+    async importHistory(file) {
+        const db = await this.dbReady;
+        if (!db) {
+            this.showStatus(this.t('status.importNeedsDb'), 'error');
+            return;
+        }
         
-        let title = filename
-            .replace(/\[.*?\]/g, '')
-            .replace(/\(.*?\)/g, '')
-            .replace(/\{.*?\}/g, '')
-            .replace(/【.*?】/g, '')
-            .replace(/\.(mp4|mkv|avi|mov|wmv|flv|webm)$/i, '')
-            .replace(/[-_\s]+(ep|episode|e)[\s\d]+.*$/i, '')
-            .replace(/[-_\s]+\d{2,3}.*$/g, '')
-            .replace(/(1080p|720p|480p|x264|x265|AAC|FLAC)/gi, '')
-            .replace(/[-_]+/g, ' ')
-            .replace(/\s+/g, ' ')
-            .trim();
+        let entries;
+        let duplicates;
+        try {
+            const text = await file.text();
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch (error) {
+                throw new Error(this.t('import.notJson'));
+            }
+            const validated = this.validateHistoryImport(data);
+            duplicates = validated.duplicates;
+            entries = await Promise.all(validated.entries.map(async entry => ({
+                ...entry,
+                thumbnail: entry.thumbnail ? await (await fetch(entry.thumbnail)).blob() : null
+            })));
+        } catch (error) {
+            this.showStatus(this.t('status.importFailed', { reason: error.message }), 'error');
+            return;
+        }
         
-        title = title.replace(/^(raws?|ohys|leopard|subsplease|horriblesubs|commie|gg|doki|underwater|fff|utw|thora|reinforce|sosg|52wy)\s+/i, '');
+        try {
+            const store = db.transaction('historyEntries', 'readonly').objectStore('historyEntries');
+            const existingIds = new Set(await this.idbRequest(store.getAllKeys()));
+            const fresh = entries.filter(entry => !existingIds.has(entry.id));
+            const evicted = await this.putHistoryEntries(db, fresh);
+            
+            const skipped = entries.length - fresh.length;
+            this.showStatus(this.t('status.imported', {
+                count: fresh.length,
+                skipped: (skipped > 0 ? this.t('status.importSkipped', { count: skipped }) : '') +
+                    (duplicates > 0 ? this.t('status.importDuplicates', { count: duplicates }) : '') +
+                    (evicted > 0 ? this.t('status.importEvicted', { count: evicted }) : '')
+            }), evicted > 0 ? 'warning' : 'success');
+        } catch (error) {
+            this.handleError(error, this.t('error.context.import'));
+            return;
+        }
         
-        return title || 'Unknown Anime';
+        this.updateStats();
+        this.renderHistory();
     }
     
     /**
-     * Format episode
+     * Check an import against the export schema and return { entries, duplicates }.
+     * Throws on the first invalid entry so a bad file changes nothing; a repeated id keeps
+     * its first entry and is only counted.
      */
-    formatEpisode(episode) {
-        if (episode === null || episode === undefined) {
-            return 'Episode Unknown';
+    validateHistoryImport(data) {
+        // Old versions kept a bare array of summaries in localStorage
+        const isLegacy = Array.isArray(data);
+        if (!isLegacy) {
+            if (!data || data.format !== this.HISTORY_EXPORT_FORMAT) {
+                throw new Error(this.t('import.notExport'));
+            }
+            if (data.version > this.HISTORY_EXPORT_VERSION) {
+                throw new Error(this.t('import.newerVersion'));
+            }
         }
         
-        if (typeof episode === 'string' && episode.includes('|')) {
-            const [ep, total] = episode.split('|');
-            return `Episode ${ep} of ${total}`;
+        const entries = isLegacy ? data : data.entries;
+        if (!Array.isArray(entries)) {
+            throw new Error(this.t('import.noEntries'));
         }
         
-        return `Episode ${episode}`;
+        const seen = new Set();
+        const cleaned = [];
+        entries.forEach((raw, index) => {
+            let entry;
+            try {
+                entry = this.validateHistoryEntry(raw);
+            } catch (error) {
+                // The reason names export fields, so it is left untranslated
+                throw new Error(this.t('import.invalidEntry', { index: index + 1, reason: error.message }));
+            }
+            if (!seen.has(entry.id)) {
+                seen.add(entry.id);
+                cleaned.push(entry);
+            }
+        });
+        
+        return { entries: cleaned, duplicates: entries.length - cleaned.length };
+    }
+    
+    validateHistoryEntry(raw) {
+        const check = (condition, message) => {
+            if (!condition) throw new Error(message);
+        };
+        const isOptionalString = value => value === null || value === undefined || typeof value === 'string';
+        
+        check(raw && typeof raw === 'object' && !Array.isArray(raw), 'not an object');
+        check(Number.isSafeInteger(raw.id) && raw.id > 0, 'id must be a positive integer');
+        
+        const timestamp = typeof raw.timestamp === 'string' ? new Date(raw.timestamp).getTime() : raw.timestamp;
+        check(Number.isFinite(timestamp), 'timestamp must be a date');
+        check(raw.inputType === 'file' || raw.inputType === 'url', 'inputType must be "file" or "url"');
+        check(typeof raw.input === 'string' && raw.input.length <= 4096, 'input must be a string');
+        check(isOptionalString(raw.topResult), 'topResult must be a string');
+        check(Number.isInteger(raw.resultsCount) && raw.resultsCount >= 0, 'resultsCount must be a whole number');
+        check(typeof raw.similarity === 'number' && raw.similarity >= 0 && raw.similarity <= 1, 'similarity must be between 0 and 1');
+        
+        const url = raw.inputType === 'url' ? this.normalizeUrl(raw.url || raw.input) : null;
+        check(raw.inputType !== 'url' || url !== null, 'url must be an http(s) URL');
+        check(isOptionalString(raw.fileName), 'fileName must be a string');
+        check(raw.thumbnail === null || raw.thumbnail === undefined ||
+            (typeof raw.thumbnail === 'string' && raw.thumbnail.startsWith('data:image/')), 'thumbnail must be an image data URL');
+        check(raw.results === null || raw.results === undefined || Array.isArray(raw.results), 'results must be a list');
+        
+        return {
+            id: raw.id,
+            timestamp,
+            input: url || raw.input,
+            inputType: raw.inputType,
+            url,
+            fileName: raw.inputType === 'file' ? (raw.fileName || raw.input) : null,
+            resultsCount: raw.resultsCount,
+            topResult: raw.topResult || null,
+            topResultAdult: this.toAdultFlag(raw.topResultAdult),
+            similarity: raw.similarity,
+            thumbnail: raw.thumbnail || null,
+            results: Array.isArray(raw.results) ? raw.results.map(result => this.validateHistoryResult(result)) : null
+        };
     }
     
     /**
-     * Get confidence level
+     * Rebuild a result with only the normalized fields, dropping anything unexpected
      */
-    getConfidenceLevel(similarity) {
-        const sim = parseFloat(similarity);
+    validateHistoryResult(raw) {
+        const check = (condition, message) => {
+            if (!condition) throw new Error(`result ${message}`);
+        };
+        const optionalNumber = value => (typeof value === 'number' && Number.isFinite(value) ? value : null);
+        const optionalString = value => (typeof value === 'string' ? value : null);
+        const optionalUrl = value => (typeof value === 'string' ? this.normalizeUrl(value) : null);
         
-        if (sim >= 90) {
-            return { class: 'high', text: '🟢 Excellent' };
-        } else if (sim >= 75) {
-            return { class: 'high', text: '🟢 High' };
-        } else if (sim >= 60) {
-            return { class: 'medium', text: '🟡 Medium' };
-        } else if (sim >= 40) {
-            return { class: 'medium', text: '🟡 Low' };
-        } else {
-            return { class: 'low', text: '🔴 Very Low' };
+        check(raw && typeof raw === 'object', 'is not an object');
+        check(typeof raw.similarity === 'number' && raw.similarity >= 0 && raw.similarity <= 1, 'similarity must be between 0 and 1');
+        check(raw.anilistId === null || raw.anilistId === undefined || Number.isSafeInteger(raw.anilistId), 'anilistId must be an integer');
+        
+        const episodeIsValid = value => ['number', 'string'].includes(typeof value);
+        const episode = Array.isArray(raw.episode)
+            ? raw.episode.filter(episodeIsValid)
+            : (episodeIsValid(raw.episode) ? raw.episode : null);
+        const title = raw.title && typeof raw.title === 'object'
+            ? {
+                english: optionalString(raw.title.english),
+                romaji: optionalString(raw.title.romaji),
+                native: optionalString(raw.title.native)
+            }
+            : null;
+        
+        return {
+            provider: optionalString(raw.provider) || 'tracemoe',
+            anilistId: raw.anilistId || null,
+            title,
+            synonyms: Array.isArray(raw.synonyms) ? raw.synonyms.filter(synonym => typeof synonym === 'string') : [],
+            isAdult: this.toAdultFlag(raw.isAdult),
+            filename: optionalString(raw.filename),
+            episode,
+            from: optionalNumber(raw.from),
+            to: optionalNumber(raw.to),
+            similarity: raw.similarity,
+            image: optionalUrl(raw.image),
+            video: optionalUrl(raw.video),
+            ...(Number.isInteger(raw.frameMatches) ? { frameMatches: raw.frameMatches, frameCount: optionalNumber(raw.frameCount) } : {})
+        };
+    }
+    
+    async clearHistoryEntries() {
+        const db = await this.dbReady;
+        if (!db) {
+            localStorage.removeItem(this.HISTORY_STORAGE_KEY);
+            return;
+        }
+        
+        try {
+            const store = db.transaction('historyEntries', 'readwrite').objectStore('historyEntries');
+            await this.idbRequest(store.clear());
+        } catch (error) {
+            console.warn('Failed to clear search history:', error);
         }
     }
     
     /**
-     * Generate no results HTML
+     * Top result title for a history entry, respecting the adult content preference
      */
-    generateNoResultsHTML() {
-        return `
-            <div class="result-item">
-                <div class="result-info">
-                    <h4>❌ No Anime Found</h4>
-                    <div class="result-episode">
-                        We couldn't find any matching anime for this image.
-                        <br><br>
-                        <strong>💡 Tips for better results:</strong><br>
-                        • Use clear, high-quality anime screenshots<br>
-                        • Avoid heavily edited or filtered images<br>
-                        • Try different scenes from the same anime<br>
-                        • Ensure the image is actually from an anime<br>
-                        • Remove text overlays or watermarks if possible<br><br>
-                        
-                        <strong>🔧 Technical tips:</strong><br>
-                        • Images with 720p+ resolution work best<br>
-                        • JPEG and PNG formats are most reliable<br>
-                        • Face-focused scenes often yield better results<br>
-                        • Try cropping to focus on the main subject
-                    </div>
-                </div>
-            </div>
-        `;
+    generateHistoryTitleHTML(item) {
+        if (item.topResult && this.isAdultHidden(item.topResultAdult)) {
+            return `<span class="adult-hidden-title">${this.t('history.adultHidden')}</span>`;
+        }
+        
+        const title = this.escapeHtml(item.topResult || this.t('history.unknown'));
+        if (this.shouldBlurAdult(item.topResultAdult)) {
+            return `<span class="adult-blur adult-blur-text" title="${this.t('result.adultReveal')}">${title}</span>`;
+        }
+        return title;
+    }
+    
+    clearHistory() {
+        if (confirm(this.t('confirm.clearHistory'))) {
+            this.clearHistoryEntries().then(() => {
+                this.renderHistory();
+                this.updateStats();
+            });
+            this.showStatus(this.t('status.historyCleared'), 'info');
+        }
     }
     
     /**
-     * Show no results
+     * Modal Management
      */
-    showNoResults() {
-        const resultsHTML = `
-            <h3 class="results-title">
-                🔍 Search Results
-                <span style="font-size: 0.8em; color: var(--text-muted);">(0 found)</span>
-            </h3>
-            ${this.generateNoResultsHTML()}
-        `;
-        
-        if (this.resultsContainer) {
-            this.resultsContainer.innerHTML = resultsHTML;
+    getModal(type) {
+        const modals = {
+            help: this.helpModal,
+            about: this.aboutModal,
+            settings: this.settingsModal
+        };
+        return modals[type] || null;
+    }
+    
+    openModal(type) {
+        const modal = this.getModal(type);
+        if (modal) {
+            modal.classList.add('show');
+            if (modal.setAttribute) {
+                modal.setAttribute('aria-hidden', 'false');
+            }
         }
-        
-        if (this.resultsSection) {
-            this.resultsSection.classList.add('show');
+    }
+    
+    closeModal(type) {
+        const modal = this.getModal(type);
+        if (modal) {
+            modal.classList.remove('show');
+            if (modal.setAttribute) {
+                modal.setAttribute('aria-hidden', 'true');
+            }
         }
-        this.showStatus('❌ No anime matches found. Try the tips above for better results.', 'error');
     }
     
     /**
-     * Clear results
+     * Fullscreen functionality
      */
-    clearResults() {
-        if (this.resultsContainer) {
-            this.resultsContainer.innerHTML = '';
+    openFullscreen() {
+        if (this.previewImage && this.previewImage.src && this.fullscreenImage && this.fullscreenModal) {
+            this.fullscreenImage.src = this.previewImage.src;
+            this.fullscreenModal.classList.remove('comparing');
+            this.fullscreenModal.classList.add('show');
+            if (this.fullscreenModal.setAttribute) {
+                this.fullscreenModal.setAttribute('aria-hidden', 'false');
+            }
         }
-        if (this.resultsSection) {
-            this.resultsSection.classList.remove('show');
+    }
+    
+    closeFullscreen() {
+        if (this.cropState && this.cropState.imageEl === this.fullscreenImage) {
+            this.cancelCrop();
+        }
+        if (this.fullscreenModal) {
+            this.fullscreenModal.classList.remove('show', 'comparing');
+            if (this.fullscreenModal.setAttribute) {
+                this.fullscreenModal.setAttribute('aria-hidden', 'true');
+            }
         }
+        this.compareState = null;
     }
     
     /**
-     * Show status message
+     * Compare view: the query image against a matched frame, drawn on canvas
      */
-    showStatus(message, type = 'info') {
-        if (!this.statusMessage) return;
+    async openCompare(result) {
+        if (!result || !result.image || !this.fullscreenModal || !this.compareCanvas) return;
+        if (!this.previewImage || !this.previewImage.src) {
+            this.showStatus(this.t('status.compareNeedsImage'), 'error');
+            return;
+        }
         
-        this.statusMessage.textContent = message;
-        this.statusMessage.className = `status-message show ${type}`;
+        try {
+            const [query, match] = await Promise.all([
+                this.loadCompareImage(this.previewImage.src),
+                this.loadCompareImage(result.image)
+            ]);
+            
+            this.compareState = { query, match, mode: 'side' };
+            if (this.compareCaption) {
+                const similarity = ((result.similarity || 0) * 100).toFixed(1);
+                this.compareCaption.textContent = this.t('compare.caption', {
+                    title: this.extractAnimeTitle(result),
+                    episode: this.formatResultEpisode(result),
+                    similarity
+                });
+            }
+            
+            this.setAdultMediaBlur(this.compareCanvas, this.shouldBlurAdult(result.isAdult));
+            this.fullscreenModal.classList.add('show', 'comparing');
+            this.fullscreenModal.setAttribute('aria-hidden', 'false');
+            this.setCompareMode('side');
+        } catch (error) {
+            console.warn('Failed to load comparison images:', error);
+            this.showStatus(this.t('status.compareFailed'), 'error');
+        }
+    }
+    
+    loadCompareImage(src) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load ${src}`));
+            img.src = src;
+        });
+    }
+    
+    setCompareMode(mode) {
+        if (!this.compareState) return;
         
-        if (type !== 'error') {
-            setTimeout(() => this.clearStatus(), 5000);
+        this.compareState.mode = mode;
+        this.compareModeButtons.forEach(button => {
+            const active = button.dataset.mode === mode;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        });
+        
+        const sliderLabels = { overlay: this.t('compare.opacity'), swipe: this.t('compare.divider') };
+        if (this.compareSliderLabel) {
+            this.compareSliderLabel.textContent = sliderLabels[mode] || '';
+            this.compareSliderLabel.parentElement.classList.toggle('show', Boolean(sliderLabels[mode]));
+        }
+        if (this.compareCanvas) {
+            this.compareCanvas.classList.toggle('swipe', mode === 'swipe');
         }
         
-        console.log(`[${type.toUpperCase()}] ${message}`);
+        this.renderCompare();
+    }
+    
+    moveCompareDivider(event) {
+        const rect = this.compareCanvas.getBoundingClientRect();
+        const position = ((event.clientX - rect.left) / rect.width) * 100;
+        if (this.compareSlider) {
+            this.compareSlider.value = Math.min(100, Math.max(0, position)).toFixed(0);
+        }
+        this.renderCompare();
     }
     
     /**
-     * Clear status message
+     * Draw the current compare mode. The query is stretched to the matched frame's size
+     * so overlay, swipe and difference line up pixel for pixel.
      */
-    clearStatus() {
-        if (this.statusMessage) {
-            this.statusMessage.classList.remove('show');
+    renderCompare() {
+        if (!this.compareState || !this.compareCanvas) return;
+        
+        const { query, match, mode } = this.compareState;
+        const canvas = this.compareCanvas;
+        const ctx = canvas.getContext('2d');
+        const width = match.naturalWidth;
+        const height = match.naturalHeight;
+        const amount = this.compareSlider ? Number(this.compareSlider.value) / 100 : 0.5;
+        const gap = Math.round(width * 0.02);
+        
+        canvas.width = mode === 'side' ? width * 2 + gap : width;
+        canvas.height = height;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        
+        switch (mode) {
+            case 'side':
+                ctx.drawImage(query, 0, 0, width, height);
+                ctx.drawImage(match, width + gap, 0, width, height);
+                break;
+            case 'overlay':
+                ctx.drawImage(query, 0, 0, width, height);
+                ctx.globalAlpha = amount;
+                ctx.drawImage(match, 0, 0, width, height);
+                ctx.globalAlpha = 1;
+                break;
+            case 'swipe': {
+                const dividerX = Math.round(width * amount);
+                ctx.drawImage(query, 0, 0, width, height);
+                ctx.save();
+                ctx.beginPath();
+                ctx.rect(dividerX, 0, width - dividerX, height);
+                ctx.clip();
+                ctx.drawImage(match, 0, 0, width, height);
+                ctx.restore();
+                ctx.fillStyle = '#ffffff';
+                ctx.fillRect(dividerX - 1, 0, 2, height);
+                break;
+            }
+            case 'difference':
+                // Identical pixels cancel to black, so a real match is mostly dark
+                ctx.drawImage(query, 0, 0, width, height);
+                ctx.globalCompositeOperation = 'difference';
+                ctx.drawImage(match, 0, 0, width, height);
+                ctx.globalCompositeOperation = 'source-over';
+                break;
         }
     }
     
     /**
-     * History Management
+     * Clip player
      */
-    addToHistory(input, results) {
-        const historyItem = {
-            id: Date.now(),
-            timestamp: new Date(),
-            input: typeof input === 'string' ? input : input.name,
-            inputType: typeof input === 'string' ? 'url' : 'file',
-            resultsCount: results.length,
-            topResult: results[0] ? this.extractAnimeTitle(results[0]) : null,
-            similarity: results[0] ? results[0].similarity : 0
-        };
+    openClip(result) {
+        if (!result || !result.video || !this.clipModal || !this.clipVideo) return;
+        
+        if (this.clipTitle) {
+            const timestamp = this.formatTimestamp(result.from, result.to);
+            this.clipTitle.textContent = [this.extractAnimeTitle(result), this.formatResultEpisode(result), timestamp]
+                .filter(Boolean)
+                .join(' • ');
+        }
         
-        this.searchHistory.unshift(historyItem);
+        this.setAdultMediaBlur(this.clipVideo, this.shouldBlurAdult(result.isAdult));
+        this.clipVideo.src = result.video;
+        this.clipVideo.playbackRate = this.clipSpeedSelect ? Number(this.clipSpeedSelect.value) : 1;
+        this.setClipMuted(this.clipMuted);
+        this.setClipLoop(this.clipLoop);
         
-        if (this.searchHistory.length > 50) {
-            this.searchHistory = this.searchHistory.slice(0, 50);
+        this.clipModal.classList.add('show');
+        this.clipModal.setAttribute('aria-hidden', 'false');
+        
+        this.clipVideo.play().catch(error => {
+            // Autoplay with sound can be blocked; leave the play button for the user
+            console.warn('Clip autoplay blocked:', error);
+            this.updateClipControls();
+        });
+        if (this.clipPlayBtn) this.clipPlayBtn.focus();
+    }
+    
+    closeClip() {
+        if (this.clipVideo) {
+            this.clipVideo.pause();
+            this.clipVideo.removeAttribute('src');
+            this.clipVideo.load();
         }
+        if (this.clipModal) {
+            this.clipModal.classList.remove('show');
+            this.clipModal.setAttribute('aria-hidden', 'true');
+        }
+    }
+    
+    toggleClipPlayback() {
+        if (!this.clipVideo) return;
         
-        this.saveSearchHistory();
-        this.updateStats();
+        if (this.clipVideo.paused) {
+            this.clipVideo.play().catch(error => console.warn('Clip playback failed:', error));
+        } else {
+            this.clipVideo.pause();
+        }
     }
     
-    loadSearchHistory() {
-        try {
-            const history = localStorage.getItem('animeSauceFinder_history');
-            return history ? JSON.parse(history) : [];
-        } catch (error) {
-            console.warn('Failed to load search history:', error);
-            return [];
+    setClipMuted(muted) {
+        this.clipMuted = muted;
+        if (this.clipVideo) this.clipVideo.muted = muted;
+        if (this.clipMuteBtn) {
+            this.clipMuteBtn.textContent = muted ? '🔇' : '🔊';
+            this.clipMuteBtn.setAttribute('aria-pressed', muted ? 'true' : 'false');
+            this.clipMuteBtn.title = this.t(muted ? 'clip.unmuteTitle' : 'clip.muteTitle');
         }
     }
     
-    saveSearchHistory() {
-        try {
-            localStorage.setItem('animeSauceFinder_history', JSON.stringify(this.searchHistory));
-        } catch (error) {
-            console.warn('Failed to save search history:', error);
+    setClipLoop(loop) {
+        this.clipLoop = loop;
+        if (this.clipVideo) this.clipVideo.loop = loop;
+        if (this.clipLoopBtn) {
+            this.clipLoopBtn.classList.toggle('active', loop);
+            this.clipLoopBtn.setAttribute('aria-pressed', loop ? 'true' : 'false');
         }
     }
     
-    toggleHistory() {
-        if (this.historyPanel && this.historyPanel.classList.contains('show')) {
-            this.closeHistory();
-        } else {
-            this.openHistory();
+    /**
+     * Pause and move one frame forward or back
+     */
+    stepClipFrame(direction) {
+        if (!this.clipVideo || !this.clipVideo.duration) return;
+        
+        this.clipVideo.pause();
+        const target = this.clipVideo.currentTime + direction * this.CLIP_FRAME_DURATION;
+        this.clipVideo.currentTime = Math.min(Math.max(target, 0), this.clipVideo.duration);
+    }
+    
+    updateClipControls() {
+        if (!this.clipPlayBtn || !this.clipVideo) return;
+        
+        const paused = this.clipVideo.paused;
+        this.clipPlayBtn.textContent = paused ? '▶️' : '⏸️';
+        this.clipPlayBtn.title = this.t(paused ? 'clip.playTitle' : 'clip.pauseTitle');
+        this.clipPlayBtn.setAttribute('aria-label', this.t(paused ? 'clip.play' : 'clip.pause'));
+    }
+    
+    updateClipTime() {
+        if (!this.clipTime || !this.clipVideo) return;
+        
+        const current = this.clipVideo.currentTime || 0;
+        const duration = this.clipVideo.duration || 0;
+        this.clipTime.textContent = `${current.toFixed(2)}s / ${duration.toFixed(2)}s`;
+    }
+    
+    /**
+     * Crop functionality
+     */
+    startCrop(imageEl, containerEl) {
+        if (!this.currentFile || !imageEl || !containerEl || !imageEl.naturalWidth) {
+            this.showStatus(this.t('status.cropNeedsImage'), 'error');
+            return;
         }
+        
+        this.cancelCrop();
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'crop-overlay';
+        overlay.style.left = `${imageEl.offsetLeft}px`;
+        overlay.style.top = `${imageEl.offsetTop}px`;
+        overlay.style.width = `${imageEl.offsetWidth}px`;
+        overlay.style.height = `${imageEl.offsetHeight}px`;
+        overlay.innerHTML = '<div class="crop-selection"></div>';
+        
+        const toolbar = document.createElement('div');
+        toolbar.className = 'crop-toolbar';
+        toolbar.innerHTML = `
+            <span class="crop-hint">${this.t('crop.hint')}</span>
+            <button type="button" class="secondary-btn" data-crop-action="cancel">${this.t('crop.cancel')}</button>
+            <button type="button" class="secondary-btn crop-apply" data-crop-action="apply">${this.t('crop.apply')}</button>
+        `;
+        
+        containerEl.appendChild(overlay);
+        containerEl.appendChild(toolbar);
+        containerEl.classList.add('cropping');
+        
+        this.cropState = {
+            imageEl,
+            containerEl,
+            overlay,
+            toolbar,
+            selectionEl: overlay.querySelector('.crop-selection'),
+            bounds: this.getImageContentBox(imageEl),
+            selection: null,
+            drag: null
+        };
+        
+        overlay.addEventListener('pointerdown', (e) => this.handleCropPointerDown(e));
+        overlay.addEventListener('pointermove', (e) => this.handleCropPointerMove(e));
+        overlay.addEventListener('pointerup', () => this.handleCropPointerUp());
+        overlay.addEventListener('pointercancel', () => this.handleCropPointerUp());
+        toolbar.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-crop-action]');
+            if (!action) return;
+            if (action.dataset.cropAction === 'apply') {
+                this.applyCrop();
+            } else {
+                this.cancelCrop();
+            }
+        });
+        
+        this.renderCropSelection();
     }
     
-    openHistory() {
-        this.renderHistory();
-        if (this.historyPanel) {
-            this.historyPanel.classList.add('show');
-        }
+    /**
+     * Area actually covered by the picture inside an <img> box (object-fit: contain leaves bars)
+     */
+    getImageContentBox(imageEl) {
+        const boxWidth = imageEl.offsetWidth;
+        const boxHeight = imageEl.offsetHeight;
+        const scale = Math.min(boxWidth / imageEl.naturalWidth, boxHeight / imageEl.naturalHeight);
+        const width = imageEl.naturalWidth * scale;
+        const height = imageEl.naturalHeight * scale;
+        
+        return {
+            x: (boxWidth - width) / 2,
+            y: (boxHeight - height) / 2,
+            width,
+            height,
+            scale
+        };
     }
     
-    closeHistory() {
-        if (this.historyPanel) {
-            this.historyPanel.classList.remove('show');
-        }
+    /**
+     * Pointer position relative to the crop overlay, clamped to the picture
+     */
+    getCropPoint(event) {
+        const { overlay, bounds } = this.cropState;
+        const rect = overlay.getBoundingClientRect();
+        return {
+            x: Math.min(Math.max(event.clientX - rect.left, bounds.x), bounds.x + bounds.width),
+            y: Math.min(Math.max(event.clientY - rect.top, bounds.y), bounds.y + bounds.height)
+        };
     }
     
-    renderHistory() {
-        if (!this.historyContent) return;
-        
-        if (this.searchHistory.length === 0) {
-            this.historyContent.innerHTML = '<p class="history-empty">No search history yet. Start by uploading an image!</p>';
-            return;
-        }
+    handleCropPointerDown(event) {
+        if (!this.cropState) return;
+        event.preventDefault();
         
-        const historyHTML = this.searchHistory.map(item => `
-            <div class="history-item">
-                <div class="history-header">
-                    <span class="history-type">${item.inputType === 'file' ? '📁' : '🔗'}</span>
-                    <span class="history-time">${this.formatRelativeTime(item.timestamp)}</span>
-                </div>
-                <div class="history-input">${this.escapeHtml(item.input)}</div>
-                <div class="history-result">
-                    ${item.resultsCount > 0 
-                        ? `✅ ${item.topResult} (${(item.similarity * 100).toFixed(1)}%)` 
-                        : '❌ No matches found'
-                    }
-                </div>
-            </div>
-        `).join('');
+        const point = this.getCropPoint(event);
+        const { selection } = this.cropState;
+        const insideSelection = selection &&
+            point.x >= selection.x && point.x <= selection.x + selection.width &&
+            point.y >= selection.y && point.y <= selection.y + selection.height;
         
-        this.historyContent.innerHTML = historyHTML;
+        this.cropState.drag = insideSelection
+            ? { mode: 'move', start: point, origin: { ...selection } }
+            : { mode: 'draw', start: point };
+        this.cropState.overlay.setPointerCapture(event.pointerId);
     }
     
-    clearHistory() {
-        if (confirm('Are you sure you want to clear all search history?')) {
-            this.searchHistory = [];
-            this.saveSearchHistory();
-            this.renderHistory();
-            this.updateStats();
-            this.showStatus('🗑️ Search history cleared', 'info');
+    handleCropPointerMove(event) {
+        if (!this.cropState || !this.cropState.drag) return;
+        
+        const { drag, bounds } = this.cropState;
+        const point = this.getCropPoint(event);
+        
+        if (drag.mode === 'move') {
+            const { origin } = drag;
+            this.cropState.selection = {
+                ...origin,
+                x: Math.min(Math.max(origin.x + point.x - drag.start.x, bounds.x), bounds.x + bounds.width - origin.width),
+                y: Math.min(Math.max(origin.y + point.y - drag.start.y, bounds.y), bounds.y + bounds.height - origin.height)
+            };
+        } else {
+            this.cropState.selection = {
+                x: Math.min(drag.start.x, point.x),
+                y: Math.min(drag.start.y, point.y),
+                width: Math.abs(point.x - drag.start.x),
+                height: Math.abs(point.y - drag.start.y)
+            };
         }
+        
+        this.renderCropSelection();
     }
     
-    /**
-     * Modal Management
-     */
-    openModal(type) {
-        const modal = type === 'help' ? this.helpModal : this.aboutModal;
-        if (modal) {
-            modal.classList.add('show');
-            if (modal.setAttribute) {
-                modal.setAttribute('aria-hidden', 'false');
-            }
+    handleCropPointerUp() {
+        if (!this.cropState) return;
+        
+        const { selection } = this.cropState;
+        this.cropState.drag = null;
+        
+        // Treat a click or tiny drag as "no selection"
+        if (selection && (selection.width < 8 || selection.height < 8)) {
+            this.cropState.selection = null;
+            this.renderCropSelection();
         }
     }
     
-    closeModal(type) {
-        const modal = type === 'help' ? this.helpModal : this.aboutModal;
-        if (modal) {
-            modal.classList.remove('show');
-            if (modal.setAttribute) {
-                modal.setAttribute('aria-hidden', 'true');
-            }
+    renderCropSelection() {
+        if (!this.cropState) return;
+        
+        const { selectionEl, selection } = this.cropState;
+        if (!selection) {
+            selectionEl.style.display = 'none';
+            return;
         }
+        
+        selectionEl.style.display = 'block';
+        selectionEl.style.left = `${selection.x}px`;
+        selectionEl.style.top = `${selection.y}px`;
+        selectionEl.style.width = `${selection.width}px`;
+        selectionEl.style.height = `${selection.height}px`;
     }
     
     /**
-     * Fullscreen functionality
+     * Cut the selected region out of the original image and load it as the current file
      */
-    openFullscreen() {
-        if (this.previewImage && this.previewImage.src && this.fullscreenImage && this.fullscreenModal) {
-            this.fullscreenImage.src = this.previewImage.src;
-            this.fullscreenModal.classList.add('show');
-            if (this.fullscreenModal.setAttribute) {
-                this.fullscreenModal.setAttribute('aria-hidden', 'false');
-            }
+    async applyCrop() {
+        if (!this.cropState) return;
+        
+        const { imageEl, bounds, selection } = this.cropState;
+        if (!selection) {
+            this.showStatus(this.t('status.cropSelectFirst'), 'info');
+            return;
         }
+        
+        const sx = Math.round((selection.x - bounds.x) / bounds.scale);
+        const sy = Math.round((selection.y - bounds.y) / bounds.scale);
+        const sw = Math.max(1, Math.round(selection.width / bounds.scale));
+        const sh = Math.max(1, Math.round(selection.height / bounds.scale));
+        
+        const canvas = document.createElement('canvas');
+        canvas.width = sw;
+        canvas.height = sh;
+        canvas.getContext('2d').drawImage(imageEl, sx, sy, sw, sh, 0, 0, sw, sh);
+        
+        const sourceFile = this.currentFile;
+        const type = ['image/png', 'image/jpeg', 'image/webp'].includes(sourceFile.type) ? sourceFile.type : 'image/png';
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, type, 0.95));
+        
+        if (!blob) {
+            this.showStatus(this.t('status.cropFailed'), 'error');
+            return;
+        }
+        
+        const baseName = sourceFile.name.replace(/\.[^.]+$/, '');
+        const extension = type.split('/')[1].replace('jpeg', 'jpg');
+        const croppedFile = new File([blob], `${baseName}_cropped.${extension}`, { type });
+        
+        const fromFullscreen = imageEl === this.fullscreenImage;
+        this.cancelCrop();
+        if (fromFullscreen) this.closeFullscreen();
+        
+        await this.setCurrentFile(croppedFile);
+        this.showStatus(this.t('status.cropped', { width: sw, height: sh }), 'success');
     }
     
-    closeFullscreen() {
-        if (this.fullscreenModal) {
-            this.fullscreenModal.classList.remove('show');
-            if (this.fullscreenModal.setAttribute) {
-                this.fullscreenModal.setAttribute('aria-hidden', 'true');
-            }
-        }
+    cancelCrop() {
+        if (!this.cropState) return;
+        
+        const { overlay, toolbar, containerEl } = this.cropState;
+        overlay.remove();
+        toolbar.remove();
+        containerEl.classList.remove('cropping');
+        this.cropState = null;
     }
     
     /**
@@ -1500,12 +5208,19 @@ class AnimeSauceFinder {
     /**
      * Generate cache key for search results
      */
-    async generateCacheKey() {
-        if (this.currentFile) {
-            const hash = await this.hashFile(this.currentFile);
-            return `file_${hash}_${this.currentFile.size}`;
-        } else if (this.urlInput && this.urlInput.value) {
-            return `url_${this.urlInput.value}`;
+    async generateCacheKey(input = this.getSearchInput(), options = this.getSearchOptions()) {
+        // Different option sets return different results for the same image
+        const optionsKey = [
+            options.cutBorders ? 'cb' : '',
+            options.anilistInfo ? 'ai' : '',
+            options.anilistId ? `id${options.anilistId}` : ''
+        ].filter(Boolean).join('-');
+        
+        if (input.type === 'file' && input.file) {
+            const hash = await this.hashFile(input.file);
+            return `file_${hash}_${input.file.size}_${optionsKey}`;
+        } else if (input.type === 'url' && input.url) {
+            return `url_${input.url}_${optionsKey}`;
         }
         return 'unknown';
     }
@@ -1521,28 +5236,19 @@ class AnimeSauceFinder {
     }
     
     formatRelativeTime(date) {
-        const now = new Date();
-        const diffMs = now - new Date(date);
-        const diffMins = Math.floor(diffMs / 60000);
-        const diffHours = Math.floor(diffMs / 3600000);
-        const diffDays = Math.floor(diffMs / 86400000);
-        
-        if (diffMins < 1) return 'Just now';
-        if (diffMins < 60) return `${diffMins}m ago`;
-        if (diffHours < 24) return `${diffHours}h ago`;
-        if (diffDays < 7) return `${diffDays}d ago`;
-        
-        return new Date(date).toLocaleDateString();
+        return this.i18n.formatRelativeTime(date);
     }
     
     sleep(ms) {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
+    /**
+     * Escape text for HTML, quotes included so the result is also safe inside attribute values
+     */
     escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+        return (text === null || text === undefined ? '' : String(text)).replace(/[&<>"']/g, char => entities[char]);
     }
     
     supportsWebP() {
@@ -1582,38 +5288,101 @@ class AnimeSauceFinder {
         const message = error.message.toLowerCase();
         
         if (error.name === 'AbortError') {
-            return 'Search was cancelled';
+            return this.t('error.cancelled');
         }
         
         if (message.includes('network') || message.includes('fetch') || message.includes('failed to fetch')) {
-            return '🌐 Network error. Please check your internet connection and try again.';
+            return this.t('error.network');
+        }
+        
+        if (message.includes('402') || message.includes('quota')) {
+            return this.t('error.quota');
+        }
+        
+        if (message.includes('403') || message.includes('invalid api key')) {
+            return this.t('error.apiKey');
         }
         
         if (message.includes('429') || message.includes('rate limit')) {
-            return '⏳ Too many requests. Please wait a moment and try again.';
+            return this.t('error.rateLimit');
         }
         
         if (message.includes('500') || message.includes('502') || message.includes('503')) {
-            return '🛠️ Server error. The service might be temporarily unavailable.';
+            return this.t('error.server');
         }
         
         if (message.includes('400') || message.includes('bad request')) {
-            return '❌ Invalid request. Please check your image and try again.';
+            return this.t('error.badRequest');
         }
         
         if (message.includes('413') || message.includes('payload too large')) {
-            return '📏 Image too large. Please use a smaller image.';
+            return this.t('error.tooLarge');
         }
         
-        return '🔧 Something went wrong. Please try again with a different image.';
+        return this.t('error.generic');
     }
     
     /**
      * Performance and Analytics
      */
-    updateStats() {
+    async updateStats() {
+        this.historyCount = await this.countHistoryEntries();
         if (this.totalSearches) {
-            this.totalSearches.textContent = this.searchHistory.length.toString();
+            this.totalSearches.textContent = this.historyCount.toString();
+        }
+    }
+    
+    /**
+     * Fetch quota and priority for the current key and show them next to the search count.
+     * A call made while a request is in flight queues one more after it, since the running
+     * request may predate the search that triggered this refresh.
+     */
+    async refreshQuota() {
+        if (this.quotaRequest) {
+            if (!this.quotaFollowUp) {
+                this.quotaFollowUp = this.quotaRequest.then(() => {
+                    this.quotaFollowUp = null;
+                    return this.refreshQuota();
+                });
+            }
+            return this.quotaFollowUp;
+        }
+        
+        const provider = this.getSearchProvider();
+        this.quotaRequest = provider.getAccountInfo()
+            .then(info => {
+                this.accountInfo = info;
+            })
+            .catch(error => {
+                console.warn('Failed to fetch API quota:', error);
+                this.accountInfo = null;
+            })
+            .finally(() => {
+                this.quotaRequest = null;
+                this.renderQuota();
+            });
+        
+        return this.quotaRequest;
+    }
+    
+    renderQuota() {
+        const info = this.accountInfo;
+        const hasQuota = info && typeof info.quota === 'number';
+        
+        if (this.quotaStat) {
+            this.quotaStat.classList.toggle('show', Boolean(hasQuota));
+        }
+        if (this.priorityStat) {
+            this.priorityStat.classList.toggle('show', Boolean(info && info.priority !== undefined));
+        }
+        
+        if (hasQuota && this.quotaRemaining) {
+            const remaining = Math.max(0, info.quota - (info.quotaUsed || 0));
+            this.quotaRemaining.textContent = remaining.toLocaleString(this.i18n.locale);
+            this.quotaRemaining.title = this.t('quota.used', { used: info.quotaUsed || 0, total: info.quota });
+        }
+        if (info && this.quotaPriority) {
+            this.quotaPriority.textContent = String(info.priority);
         }
     }
     
@@ -1628,7 +5397,7 @@ class AnimeSauceFinder {
             
             console.group('🚀 Performance Metrics');
             console.log(`Page Load Time: ${loadTime}ms`);
-            console.log(`Total Searches: ${this.searchHistory.length}`);
+            console.log(`Total Searches: ${this.historyCount}`);
             
             const totalAttempts = this.metrics.successCount + this.metrics.errorCount;
             const successRate = totalAttempts > 0 
@@ -1659,17 +5428,209 @@ class AnimeSauceFinder {
             const prefs = localStorage.getItem('animeSauceFinder_prefs');
             if (prefs) {
                 const preferences = JSON.parse(prefs);
+                this.preferences = { ...this.DEFAULT_PREFERENCES, ...preferences };
                 console.log('Loaded user preferences:', preferences);
             }
         } catch (error) {
             console.warn('Failed to load user preferences:', error);
         }
+        
+        this.applyUserPreferences();
+    }
+    
+    saveUserPreferences() {
+        try {
+            localStorage.setItem('animeSauceFinder_prefs', JSON.stringify(this.preferences));
+        } catch (error) {
+            console.warn('Failed to save user preferences:', error);
+        }
+    }
+    
+    /**
+     * Push stored preferences into the parts of the app that use them
+     */
+    applyUserPreferences() {
+        const provider = this.searchProviders.get('tracemoe');
+        const previousBaseUrl = provider.baseUrl;
+        provider.setBaseUrl(this.preferences.apiBaseUrl);
+        provider.setApiKey(this.preferences.apiKey);
+        this.anilistClient.setEndpoint(this.preferences.anilistEndpoint);
+        this.applyLanguage();
+        
+        const searchOptions = { ...this.DEFAULT_PREFERENCES.searchOptions, ...this.preferences.searchOptions };
+        if (this.cutBordersOption) this.cutBordersOption.checked = searchOptions.cutBorders;
+        if (this.anilistInfoOption) this.anilistInfoOption.checked = searchOptions.anilistInfo;
+        if (this.anilistIdOption) this.anilistIdOption.value = searchOptions.anilistId || '';
+        this.updateResultFilterControls();
+        
+        // Results from one instance say nothing about another
+        if (provider.baseUrl !== previousBaseUrl) {
+            this.searchCache.clear();
+        }
+        
+        // Re-render anything already on screen with the new adult content and language settings
+        this.renderResults();
+        if (this.historyPanel && this.historyPanel.classList.contains('show')) {
+            this.renderHistory();
+        }
+    }
+    
+    /**
+     * Switch the interface language and redraw text that code put on screen
+     */
+    applyLanguage() {
+        const language = this.preferences.language;
+        this.i18n.setLocale(language && language !== 'auto'
+            ? language
+            : this.i18n.resolveLocale(navigator.languages || [navigator.language]));
+        document.documentElement.lang = this.i18n.locale;
+        this.i18n.translateDocument(document);
+        
+        this.updateOfflineBanner();
+        this.renderQuota();
+        this.renderBorderTrimBar();
+        this.updateImageInfo();
+        this.renderVideoFrames();
+        this.batchQueue.forEach(item => this.updateBatchItem(item));
+        this.updateClipControls();
+        this.setClipMuted(this.clipMuted);
+    }
+    
+    /**
+     * Translate a message ID from i18n.js into the active language
+     */
+    t(key, params) {
+        return this.i18n.t(key, params);
+    }
+    
+    /**
+     * Settings panel
+     */
+    openSettings() {
+        if (this.apiBaseUrlInput) {
+            this.apiBaseUrlInput.value = this.preferences.apiBaseUrl;
+        }
+        if (this.apiKeyInput) {
+            this.apiKeyInput.value = this.preferences.apiKey;
+        }
+        if (this.anilistEndpointInput) {
+            this.anilistEndpointInput.value = this.preferences.anilistEndpoint;
+        }
+        if (this.autoSearchSharedInput) {
+            this.autoSearchSharedInput.checked = this.preferences.autoSearchShared;
+        }
+        if (this.adultContentInput) {
+            this.adultContentInput.value = this.preferences.adultContent;
+        }
+        if (this.languageInput) {
+            this.languageInput.value = this.preferences.language;
+        }
+        const copyTemplates = this.getCopyTemplates();
+        this.copyTemplateInputs.forEach(input => {
+            input.value = copyTemplates[input.dataset.copyTemplate] || '';
+        });
+        this.setApiTestResult('', '');
+        this.openModal('settings');
+    }
+    
+    /**
+     * Read and validate the API base URL field. Returns null when it is invalid.
+     */
+    readApiBaseUrlInput() {
+        const value = this.apiBaseUrlInput ? this.apiBaseUrlInput.value.trim() : '';
+        if (value && !this.isValidUrl(value)) {
+            this.setApiTestResult(this.t('settings.invalidApiUrl'), 'error');
+            return null;
+        }
+        return value.replace(/\/+$/, '');
+    }
+    
+    saveSettings() {
+        const apiBaseUrl = this.readApiBaseUrlInput();
+        if (apiBaseUrl === null) return;
+        
+        const apiKey = this.apiKeyInput ? this.apiKeyInput.value.trim() : '';
+        const anilistEndpoint = this.anilistEndpointInput ? this.anilistEndpointInput.value.trim().replace(/\/+$/, '') : '';
+        if (anilistEndpoint && !this.isValidUrl(anilistEndpoint)) {
+            this.setApiTestResult(this.t('settings.invalidAnilistUrl'), 'error');
+            return;
+        }
+        const autoSearchShared = this.autoSearchSharedInput ? this.autoSearchSharedInput.checked : false;
+        const adultContent = this.adultContentInput ? this.adultContentInput.value : this.preferences.adultContent;
+        const language = this.languageInput ? this.languageInput.value : this.preferences.language;
+        // Only keep templates that differ from the defaults, so later default changes still apply
+        const copyTemplates = {};
+        this.copyTemplateInputs.forEach(input => {
+            const format = input.dataset.copyTemplate;
+            if (input.value.trim() && input.value !== this.DEFAULT_PREFERENCES.copyTemplates[format]) {
+                copyTemplates[format] = input.value;
+            }
+        });
+        
+        this.preferences = {
+            ...this.preferences, apiBaseUrl, apiKey, anilistEndpoint, autoSearchShared, adultContent, language, copyTemplates
+        };
+        this.saveUserPreferences();
+        this.applyUserPreferences();
+        this.refreshQuota();
+        this.closeModal('settings');
+        this.showStatus(this.t('status.settingsSaved'), 'success');
+    }
+    
+    resetSettings() {
+        this.preferences = { ...this.DEFAULT_PREFERENCES };
+        this.saveUserPreferences();
+        this.applyUserPreferences();
+        this.refreshQuota();
+        this.openSettings();
+        this.showStatus(this.t('status.settingsReset'), 'info');
+    }
+    
+    /**
+     * Check the endpoint typed into the settings form before saving it
+     */
+    async testApiConnection() {
+        const apiBaseUrl = this.readApiBaseUrlInput();
+        if (apiBaseUrl === null) return;
+        
+        // Test with the key as typed without touching the provider searches are using
+        const provider = this.searchProviders.get('tracemoe');
+        const baseUrl = apiBaseUrl || provider.defaultBaseUrl;
+        const apiKey = this.apiKeyInput ? this.apiKeyInput.value.trim() : provider.apiKey;
+        const controller = new AbortController();
+        const timeout = setTimeout(() => controller.abort(), 8000);
+        
+        if (this.testApiBtn) this.testApiBtn.disabled = true;
+        this.setApiTestResult(this.t('settings.contacting', { url: baseUrl }), 'info');
+        
+        try {
+            const startTime = performance.now();
+            const me = await provider.testConnection(baseUrl, controller.signal, apiKey);
+            const elapsed = (performance.now() - startTime).toFixed(0);
+            const quotaNote = me && typeof me.quota === 'number'
+                ? this.t('settings.quotaNote', { count: Math.max(0, me.quota - (me.quotaUsed || 0)), priority: String(me.priority) })
+                : '';
+            this.setApiTestResult(this.t('settings.connected', { url: baseUrl, ms: elapsed, quota: quotaNote }), 'success');
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? this.t('settings.noResponse') : this.getErrorMessage(error);
+            this.setApiTestResult(`❌ ${reason}`, 'error');
+        } finally {
+            clearTimeout(timeout);
+            if (this.testApiBtn) this.testApiBtn.disabled = false;
+        }
+    }
+    
+    setApiTestResult(message, type) {
+        if (!this.apiTestResult) return;
+        
+        this.apiTestResult.textContent = message;
+        this.apiTestResult.className = `settings-test-result ${type}`;
     }
     
     preloadCriticalResources() {
         const link = document.createElement('link');
         link.rel = 'dns-prefetch';
-        link.href = this.API_BASE_URL;
+        link.href = this.getSearchProvider().baseUrl;
         document.head.appendChild(link);
     }
     
@@ -1698,6 +5659,7 @@ class AnimeSauceFinder {
     setupAdvancedCaching() {
         if (this.features.indexedDB) {
             this.initIndexedDB();
+            this.migrateSearchHistory().then(() => this.updateStats());
         }
         
         // Clean up old cache entries
@@ -1711,20 +5673,172 @@ class AnimeSauceFinder {
      * Initialize IndexedDB for persistent caching
      */
     initIndexedDB() {
-        const request = indexedDB.open('AnimeSauceFinder', 1);
+        this.dbReady = new Promise((resolve) => {
+            const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+            
+            request.onerror = () => {
+                console.warn('IndexedDB not available');
+                resolve(null);
+            };
+            // Another tab still holds an older version open; carry on in memory rather than wait for it
+            request.onblocked = () => {
+                console.warn('IndexedDB upgrade blocked by another tab');
+                resolve(null);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // Let a newer version in another tab upgrade instead of being blocked by this one
+                this.db.onversionchange = () => {
+                    this.db.close();
+                    this.db = null;
+                    this.dbReady = Promise.resolve(null);
+                };
+                console.log('IndexedDB initialized for advanced caching');
+                resolve(this.db);
+            };
+            
+            request.onupgradeneeded = (event) => {
+                this.upgradeDatabase(event.target.result, event.target.transaction);
+            };
+        });
+    }
+    
+    /**
+     * Create or update object stores; runs whenever DB_VERSION is raised
+     */
+    upgradeDatabase(db, transaction) {
+        const cacheStore = db.objectStoreNames.contains('searchCache')
+            ? transaction.objectStore('searchCache')
+            : db.createObjectStore('searchCache', { keyPath: 'key' });
+        if (!cacheStore.indexNames.contains('timestamp')) {
+            cacheStore.createIndex('timestamp', 'timestamp');
+        }
         
-        request.onerror = () => console.warn('IndexedDB not available');
-        request.onsuccess = () => {
-            this.db = request.result;
-            console.log('IndexedDB initialized for advanced caching');
-        };
+        if (!db.objectStoreNames.contains('offlineQueue')) {
+            db.createObjectStore('offlineQueue', { keyPath: 'id', autoIncrement: true });
+        }
+        
+        if (!db.objectStoreNames.contains('anilistMedia')) {
+            db.createObjectStore('anilistMedia', { keyPath: 'id' });
+        }
         
-        request.onupgradeneeded = (event) => {
-            const db = event.target.result;
-            if (!db.objectStoreNames.contains('searchCache')) {
-                db.createObjectStore('searchCache', { keyPath: 'key' });
+        // Search history: summary, query thumbnail and full results, keyed by the entry's id
+        const historyStore = db.objectStoreNames.contains('historyEntries')
+            ? transaction.objectStore('historyEntries')
+            : db.createObjectStore('historyEntries', { keyPath: 'id' });
+        ['timestamp', 'similarity'].forEach(indexName => {
+            if (!historyStore.indexNames.contains(indexName)) {
+                historyStore.createIndex(indexName, indexName);
             }
-        };
+        });
+    }
+    
+    /**
+     * Wrap an IDBRequest in a promise
+     */
+    idbRequest(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+    
+    /**
+     * Resolve once a transaction has committed
+     */
+    idbTransaction(transaction) {
+        return new Promise((resolve, reject) => {
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new DOMException('Transaction aborted', 'AbortError'));
+        });
+    }
+    
+    /**
+     * Read a search result from IndexedDB, ignoring expired entries.
+     * The lookup is read-only so parallel batch lookups don't queue behind each other.
+     */
+    async getPersistentCache(key) {
+        const db = await this.dbReady;
+        if (!db) return null;
+        
+        try {
+            const store = db.transaction('searchCache', 'readonly').objectStore('searchCache');
+            const entry = await this.idbRequest(store.get(key));
+            if (!entry) return null;
+            
+            if (Date.now() - entry.timestamp > this.PERSISTENT_CACHE_EXPIRY) {
+                this.deletePersistentCache(key);
+                return null;
+            }
+            
+            return entry;
+        } catch (error) {
+            console.warn('Failed to read persistent cache:', error);
+            return null;
+        }
+    }
+    
+    /**
+     * Remove one search result from IndexedDB in its own write transaction
+     */
+    async deletePersistentCache(key) {
+        const db = await this.dbReady;
+        if (!db) return;
+        
+        try {
+            const store = db.transaction('searchCache', 'readwrite').objectStore('searchCache');
+            await this.idbRequest(store.delete(key));
+        } catch (error) {
+            console.warn('Failed to delete persistent cache entry:', error);
+        }
+    }
+    
+    /**
+     * Write a search result to IndexedDB and keep the store within its size limit
+     */
+    async setPersistentCache(key, entry) {
+        const db = await this.dbReady;
+        if (!db) return;
+        
+        try {
+            const store = db.transaction('searchCache', 'readwrite').objectStore('searchCache');
+            await this.idbRequest(store.put({ key, ...entry }));
+            await this.cleanupPersistentCache();
+        } catch (error) {
+            console.warn('Failed to write persistent cache:', error);
+        }
+    }
+    
+    /**
+     * Drop expired entries, then the oldest ones until the store is back under its size limit
+     */
+    async cleanupPersistentCache() {
+        const db = await this.dbReady;
+        if (!db) return;
+        
+        try {
+            const store = db.transaction('searchCache', 'readwrite').objectStore('searchCache');
+            const expiredBefore = Date.now() - this.PERSISTENT_CACHE_EXPIRY;
+            let excess = (await this.idbRequest(store.count())) - this.PERSISTENT_CACHE_MAX_ENTRIES;
+            
+            await new Promise((resolve, reject) => {
+                const cursorRequest = store.index('timestamp').openCursor();
+                cursorRequest.onsuccess = () => {
+                    const cursor = cursorRequest.result;
+                    if (!cursor || (cursor.value.timestamp >= expiredBefore && excess <= 0)) {
+                        resolve();
+                        return;
+                    }
+                    cursor.delete();
+                    excess--;
+                    cursor.continue();
+                };
+                cursorRequest.onerror = () => reject(cursorRequest.error);
+            });
+        } catch (error) {
+            console.warn('Failed to clean up persistent cache:', error);
+        }
     }
 
     /**
@@ -1745,6 +5859,8 @@ class AnimeSauceFinder {
             const toDelete = entries.slice(0, entries.length - 100);
             toDelete.forEach(([key]) => this.searchCache.delete(key));
         }
+        
+        this.cleanupPersistentCache();
     }
 
     /**
@@ -1813,6 +5929,9 @@ function initializeApp() {
 }
 
 function showFallbackError() {
+    const i18n = new Translator(I18N_MESSAGES);
+    i18n.setLocale(i18n.resolveLocale(navigator.languages || [navigator.language]));
+    
     const errorDiv = document.createElement('div');
     errorDiv.innerHTML = `
         <div style="
@@ -1828,8 +5947,8 @@ function showFallbackError() {
             z-index: 9999;
             max-width: 400px;
         ">
-            <h3>⚠️ Initialization Error</h3>
-            <p>Failed to load Anime Sauce Finder. Please refresh the page and try again.</p>
+            <h3>${i18n.t('error.fallbackTitle')}</h3>
+            <p>${i18n.t('error.fallbackBody')}</p>
             <button onclick="location.reload()" style="
                 background: white; 
                 color: #f87171; 
@@ -1838,7 +5957,7 @@ function showFallbackError() {
                 border-radius: 6px; 
                 cursor: pointer;
                 margin-top: 10px;
-            ">Refresh Page</button>
+            ">${i18n.t('error.fallbackReload')}</button>
         </div>
     `;
     document.body.appendChild(errorDiv);
@@ -1850,7 +5969,7 @@ window.addEventListener('unhandledrejection', (event) => {
     if (window.animeSauceFinder) {
         window.animeSauceFinder.handleError(
             event.reason, 
-            'Unexpected error occurred'
+            window.animeSauceFinder.t('error.context.unexpected')
         );
     }
 });
@@ -1860,7 +5979,7 @@ window.addEventListener('error', (event) => {
     if (window.animeSauceFinder) {
         window.animeSauceFinder.handleError(
             event.error, 
-            'JavaScript error'
+            window.animeSauceFinder.t('error.context.script')
         );
     }
 });
@@ -1868,13 +5987,12 @@ window.addEventListener('error', (event) => {
 // Initialize the app
 initializeApp();
 
-// Service Worker Registration (for future PWA features)
+// Service Worker Registration (offline app shell)
 if ('serviceWorker' in navigator) {
     window.addEventListener('load', () => {
-        // Uncomment when service worker is ready
-        // navigator.serviceWorker.register('/sw.js')
-        //     .then(registration => console.log('SW registered:', registration))
-        //     .catch(error => console.log('SW registration failed:', error));
+        navigator.serviceWorker.register('sw.js')
+            .then(registration => console.log('SW registered:', registration))
+            .catch(error => console.log('SW registration failed:', error));
     });
 }
 
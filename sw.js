@@ -0,0 +1,145 @@
+/**
+ * Anime Sauce Finder - Service Worker
+ * Caches the app shell so the page loads offline. Search API calls are never cached here;
+ * results are cached by the app itself in IndexedDB.
+ */
+
+const SHELL_CACHE = 'mrsauce-shell-v5';
+const SHARE_CACHE = 'mrsauce-share';
+const SHARED_FILE_KEY = './shared-file';
+const APP_SHELL = [
+    './',
+    './index.html',
+    './style.css',
+    './script.js',
+    './i18n.js',
+    './release-name-parser.js',
+    './anilist-client.js',
+    './manifest.webmanifest',
+    './icons/icon.svg',
+    './icons/icon-maskable.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(APP_SHELL))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('mrsauce-shell-') && key !== SHELL_CACHE)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Serve same-origin GETs from the cache straight away and refresh the cached copy in the background
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    
+    if (request.method === 'POST' && url.origin === self.location.origin && url.pathname.endsWith('/share-target')) {
+        event.respondWith(receiveShare(request));
+        return;
+    }
+    
+    if (request.method !== 'GET') return;
+    
+    // API calls, fonts and other hosts go straight to the network
+    if (url.origin !== self.location.origin) return;
+    
+    event.respondWith(staleWhileRevalidate(request));
+});
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    // Deep links carry query parameters; any navigation can be answered with the shell
+    const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+    
+    // Only plain navigations refresh the cached page, not every deep link
+    const cacheable = request.mode !== 'navigate' || !new URL(request.url).search;
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok && cacheable) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => null);
+    
+    if (cached) {
+        return cached;
+    }
+    
+    const response = await network;
+    if (response) {
+        return response;
+    }
+    
+    if (request.mode === 'navigate') {
+        const shell = await cache.match('./index.html');
+        if (shell) return shell;
+    }
+    
+    return new Response('Offline', { status: 503, statusText: 'Offline' });
+}
+
+/**
+ * Web Share Target: park the shared file in a cache for the page to pick up, then open the app.
+ * Shares without a file fall back to the first link found in the url or text fields.
+ */
+async function receiveShare(request) {
+    const redirect = new URL('./', self.location.href);
+    redirect.searchParams.set('share-target', '1');
+    
+    try {
+        const formData = await request.formData();
+        const file = formData.get('image');
+        
+        if (file && typeof file !== 'string') {
+            const cache = await caches.open(SHARE_CACHE);
+            await cache.put(SHARED_FILE_KEY, new Response(file, {
+                headers: {
+                    'Content-Type': file.type,
+                    'X-File-Name': encodeURIComponent(file.name || 'shared-image')
+                }
+            }));
+        } else {
+            const sharedText = `${formData.get('url') || ''} ${formData.get('text') || ''}`;
+            const link = sharedText.match(/https?:\/\/\S+/);
+            if (link) {
+                redirect.searchParams.set('sharedUrl', link[0]);
+            }
+        }
+    } catch (error) {
+        console.warn('Failed to read shared data:', error);
+    }
+    
+    return Response.redirect(redirect.href, 303);
+}
+
+/**
+ * Bring the app to the front when a "queued search finished" notification is clicked
+ */
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(clients => {
+                if (clients.length > 0) {
+                    return clients[0].focus();
+                }
+                return self.clients.openWindow('./');
+            })
+    );
+});
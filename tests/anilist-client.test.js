@@ -0,0 +1,143 @@
+/**
+ * AniListClient against a stub fetch: batching, per-ID caching and error handling.
+ * Run with: node tests/anilist-client.test.js
+ */
+
+const assert = require('assert');
+const AniListClient = require('../anilist-client.js');
+
+const MEDIA = {
+    1: { id: 1, title: { romaji: 'Cowboy Bebop', english: 'Cowboy Bebop', native: 'カウボーイビバップ' }, isAdult: false },
+    21: { id: 21, title: { romaji: 'ONE PIECE', english: 'ONE PIECE', native: 'ONE PIECE' }, isAdult: false },
+    154587: { id: 154587, title: { romaji: 'Sousou no Frieren', english: 'Frieren: Beyond Journey\'s End', native: '葬送のフリーレン' }, isAdult: false }
+};
+
+/**
+ * Fake AniList endpoint. Records every request; respond() decides the reply for one request body.
+ */
+function createStubFetch(respond = body => ({ data: { Page: { media: body.variables.ids.filter(id => MEDIA[id]).map(id => MEDIA[id]) } } })) {
+    const calls = [];
+    const stubFetch = async (url, init) => {
+        const body = JSON.parse(init.body);
+        calls.push({ url, body });
+        const reply = await respond(body);
+        if (reply instanceof Error) throw reply;
+
+        const status = reply.status || 200;
+        return {
+            ok: status >= 200 && status < 300,
+            status,
+            statusText: reply.statusText || 'OK',
+            json: async () => reply
+        };
+    };
+    return { calls, stubFetch };
+}
+
+const tests = [
+    ['batches lookups made in the same tick into one request', async () => {
+        const { calls, stubFetch } = createStubFetch();
+        const client = new AniListClient({ endpoint: 'http://mock.local/graphql', fetchImpl: stubFetch });
+
+        const [bebop, onePiece] = await Promise.all([client.getMedia(1), client.getMedia('21')]);
+
+        assert.strictEqual(calls.length, 1);
+        assert.strictEqual(calls[0].url, 'http://mock.local/graphql');
+        assert.deepStrictEqual(calls[0].body.variables.ids, [1, 21]);
+        assert.strictEqual(bebop.title.romaji, 'Cowboy Bebop');
+        assert.strictEqual(onePiece.id, 21);
+    }],
+
+    ['splits batches larger than one AniList page', async () => {
+        const { calls, stubFetch } = createStubFetch(body => ({
+            data: { Page: { media: body.variables.ids.map(id => ({ id })) } }
+        }));
+        const client = new AniListClient({ fetchImpl: stubFetch });
+        const ids = Array.from({ length: client.BATCH_SIZE + 5 }, (value, index) => index + 1);
+
+        const media = await Promise.all(ids.map(id => client.getMedia(id)));
+
+        assert.deepStrictEqual(calls.map(call => call.body.variables.ids.length), [client.BATCH_SIZE, 5]);
+        assert.deepStrictEqual(media.map(item => item.id), ids);
+    }],
+
+    ['caches each ID, including requests still in flight', async () => {
+        const { calls, stubFetch } = createStubFetch();
+        const client = new AniListClient({ fetchImpl: stubFetch });
+
+        const first = client.getMedia(154587);
+        const second = client.getMedia(154587);
+        assert.strictEqual(first, second);
+        await first;
+
+        const again = await client.getMedia(154587);
+        assert.strictEqual(calls.length, 1);
+        assert.deepStrictEqual(calls[0].body.variables.ids, [154587]);
+        assert.strictEqual(again.title.native, '葬送のフリーレン');
+    }],
+
+    ['drops the cache when the endpoint changes', async () => {
+        const { calls, stubFetch } = createStubFetch();
+        const client = new AniListClient({ fetchImpl: stubFetch });
+
+        await client.getMedia(1);
+        client.setEndpoint(client.defaultEndpoint + '/');
+        await client.getMedia(1);
+        assert.strictEqual(calls.length, 1);
+
+        client.setEndpoint('http://mock.local/graphql/');
+        await client.getMedia(1);
+        assert.strictEqual(calls.length, 2);
+        assert.strictEqual(calls[1].url, 'http://mock.local/graphql');
+    }],
+
+    ['rejects only the IDs AniList did not return', async () => {
+        const { stubFetch } = createStubFetch();
+        const client = new AniListClient({ fetchImpl: stubFetch });
+
+        const [found, missing] = await Promise.allSettled([client.getMedia(1), client.getMedia(999999)]);
+
+        assert.strictEqual(found.status, 'fulfilled');
+        assert.strictEqual(missing.status, 'rejected');
+        assert.match(missing.reason.message, /999999/);
+    }],
+
+    ['rejects the whole batch on HTTP, GraphQL and network errors, then retries', async () => {
+        const replies = [
+            { status: 500, statusText: 'Internal Server Error' },
+            { errors: [{ message: 'Too Many Requests.' }] },
+            new Error('socket hang up')
+        ];
+        const { calls, stubFetch } = createStubFetch(body => replies.shift() ||
+            { data: { Page: { media: body.variables.ids.map(id => MEDIA[id]) } } });
+        const client = new AniListClient({ fetchImpl: stubFetch });
+
+        await assert.rejects(Promise.all([client.getMedia(1), client.getMedia(21)]), /500 Internal Server Error/);
+        await assert.rejects(client.getMedia(1), /Too Many Requests/);
+        await assert.rejects(client.getMedia(1), /socket hang up/);
+
+        const media = await client.getMedia(1);
+        assert.strictEqual(media.id, 1);
+        assert.strictEqual(calls.length, 4);
+    }]
+];
+
+(async () => {
+    let failed = 0;
+
+    for (const [name, test] of tests) {
+        try {
+            await test();
+            console.log(`ok - ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`not ok - ${name}\n${error.stack}`);
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`\n${failed} of ${tests.length} AniList client tests failed`);
+        process.exit(1);
+    }
+    console.log(`All ${tests.length} AniList client tests passed`);
+})();
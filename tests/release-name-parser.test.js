@@ -0,0 +1,136 @@
+/**
+ * Fixture table for ReleaseNameParser. Run with: node tests/release-name-parser.test.js
+ * Each row lists only the fields it checks; every other field may hold anything.
+ */
+
+const assert = require('assert');
+const ReleaseNameParser = require('../release-name-parser.js');
+
+const FIXTURES = [
+    // Fansub style: [Group] Title - 12 (resolution) [CRC]
+    ['[SubsPlease] Sousou no Frieren - 12 (1080p) [A1B2C3D4].mkv',
+        { title: 'Sousou no Frieren', group: 'SubsPlease', episode: 12, version: null, resolution: '1080p', crc: 'A1B2C3D4', extension: 'mkv' }],
+    ['[SubsPlease] Sousou no Frieren - 12v2 (1080p) [A1B2C3D4].mkv',
+        { title: 'Sousou no Frieren', episode: 12, version: 2 }],
+    ['[Erai-raws] Spy x Family - 05 [720p][Multiple Subtitle].mkv',
+        { title: 'Spy x Family', group: 'Erai-raws', episode: 5, resolution: '720p' }],
+    ['[HorribleSubs] Boku no Hero Academia - 88 [480p].mkv',
+        { title: 'Boku no Hero Academia', group: 'HorribleSubs', episode: 88, resolution: '480p' }],
+    ['[Judas] Jujutsu Kaisen - 24 [1080p][HEVC x265 10bit][Multi-Subs].mkv',
+        { title: 'Jujutsu Kaisen', group: 'Judas', episode: 24, resolution: '1080p', videoCodec: 'HEVC', bitDepth: '10-bit' }],
+    ['[Commie] Steins;Gate - 01 [BD 720p AAC] [5B1D5A2C].mkv',
+        { title: 'Steins;Gate', group: 'Commie', episode: 1, resolution: '720p', audioCodec: 'AAC', source: 'BD', crc: '5B1D5A2C' }],
+    ['[SubsPlease] Mushoku Tensei S2 - 03 (1080p) [0F1E2D3C].mkv',
+        { title: 'Mushoku Tensei', season: 2, episode: 3 }],
+    ['[SubsPlease] Kaguya-sama wa Kokurasetai S3 - 04 (1080p) [ABCD1234].mkv',
+        { title: 'Kaguya-sama wa Kokurasetai', group: 'SubsPlease', season: 3, episode: 4, crc: 'ABCD1234' }],
+    ['[SubsPlease] Oshi no Ko - 11.5 (1080p) [9A8B7C6D].mkv',
+        { title: 'Oshi no Ko', episode: 11.5 }],
+    ['[Anime Time] Naruto Shippuden - 500 [1080p][HEVC 10bit x265][AAC].mkv',
+        { title: 'Naruto Shippuden', group: 'Anime Time', episode: 500, resolution: '1080p', audioCodec: 'AAC' }],
+    ['[Coalgirls]_Clannad_After_Story_-_09_(1920x1080_Blu-Ray_FLAC)_[C3D4E5F6].mkv',
+        { title: 'Clannad After Story', group: 'Coalgirls', episode: 9, resolution: '1920x1080', source: 'Blu-Ray', audioCodec: 'FLAC', crc: 'C3D4E5F6' }],
+    ['[DB]Haikyuu!!_-_01_(Dual Audio_10bit_BD1080p_x265).mkv',
+        { title: 'Haikyuu!!', group: 'DB', episode: 1, resolution: '1080p', source: 'BD', videoCodec: 'x265', bitDepth: '10-bit' }],
+    ['[FFF] Highschool DxD - 01 [BD][1080p-FLAC][7E3E0B8A].mkv',
+        { title: 'Highschool DxD', group: 'FFF', episode: 1, resolution: '1080p', audioCodec: 'FLAC', crc: '7E3E0B8A' }],
+    ['[Underwater] Hyouka - 22 (720p) [3F2E1D0C].mp4',
+        { title: 'Hyouka', episode: 22, extension: 'mp4' }],
+    ['【MMSUB】Yofukashi no Uta - 07 [1080p].mp4',
+        { title: 'Yofukashi no Uta', group: 'MMSUB', episode: 7 }],
+
+    // Seasons written into the title
+    ['Shingeki no Kyojin (Season 3) - 12',
+        { title: 'Shingeki no Kyojin', season: 3, episode: 12 }],
+    ['[SubsPlease] Mushoku Tensei 2nd Season - 03 (1080p).mkv',
+        { title: 'Mushoku Tensei 2nd Season', season: 2, episode: 3 }],
+    ['Overlord Season 4 - 12.mkv',
+        { title: 'Overlord Season 4', season: 4, episode: 12 }],
+    ['[Group] Kimetsu no Yaiba [S2] - 05 [1080p].mkv',
+        { title: 'Kimetsu no Yaiba', season: 2, episode: 5 }],
+
+    // Batch ranges
+    ['[Nep_Blanc] Toradora! 01-25 [BD 1080p]',
+        { title: 'Toradora!', group: 'Nep Blanc', episode: 1, episodeEnd: 25, resolution: '1080p', source: 'BD' }],
+    ['[Judas] Vinland Saga - 01-24 [1080p][HEVC x265 10bit]',
+        { title: 'Vinland Saga', episode: 1, episodeEnd: 24 }],
+    ['[Cleo] Mob Psycho 100 (01-12) [Dual Audio 10bit BD1080p][HEVC-x265]',
+        { title: 'Mob Psycho 100', episode: 1, episodeEnd: 12, resolution: '1080p' }],
+    ['[Group] Cowboy Bebop [01~26] [BD 720p]',
+        { title: 'Cowboy Bebop', episode: 1, episodeEnd: 26 }],
+
+    // Scene style: dots, SxxEyy, -GROUP at the end
+    ['Frieren.S01E12.1080p.WEB.x264-GROUP.mkv',
+        { title: 'Frieren', group: 'GROUP', season: 1, episode: 12, resolution: '1080p', source: 'WEB', videoCodec: 'x264' }],
+    ['Chainsaw.Man.S01E03.1080p.CR.WEB-DL.AAC2.0.H.264-VARYG.mkv',
+        { title: 'Chainsaw Man', group: 'VARYG', season: 1, episode: 3, resolution: '1080p', videoCodec: 'H.264' }],
+    ['Cyberpunk.Edgerunners.S01E01.2160p.NF.WEB-DL.DDP5.1.HEVC-GROUP.mkv',
+        { title: 'Cyberpunk Edgerunners', season: 1, episode: 1, resolution: '2160p', audioCodec: 'DDP5.1', videoCodec: 'HEVC' }],
+    ['Bleach.Thousand-Year.Blood.War.S02E05.1080p.WEB.H264-SKYANiME.mkv',
+        { title: 'Bleach Thousand-Year Blood War', season: 2, episode: 5 }],
+    ['One.Punch.Man.S02E01-E03.720p.BluRay.x264.mkv',
+        { title: 'One Punch Man', season: 2, episode: 1, episodeEnd: 3, source: 'BluRay' }],
+    ['Dandadan S01E07v2 1080p WEB.mkv',
+        { title: 'Dandadan', season: 1, episode: 7, version: 2 }],
+
+    // Episode markers
+    ['Made in Abyss EP05 [1080p].mkv',
+        { title: 'Made in Abyss', episode: 5 }],
+    ['Made in Abyss Episode 05.mp4',
+        { title: 'Made in Abyss', episode: 5 }],
+    ['[Group] Bocchi the Rock! E03 [720p].mkv',
+        { title: 'Bocchi the Rock!', episode: 3 }],
+
+    // Bare trailing numbers count only with zero padding, a version or a range
+    ['Spy x Family 05.mkv',
+        { title: 'Spy x Family', episode: 5 }],
+    ['[Group] Detective Conan 0999 [720p].mp4',
+        { title: 'Detective Conan', episode: 999, resolution: '720p' }],
+    ['Lycoris Recoil 08v2.mkv',
+        { title: 'Lycoris Recoil', episode: 8, version: 2 }],
+    ['Mob Psycho 100.mkv',
+        { title: 'Mob Psycho 100', episode: null }],
+    ['Mob Psycho 100 [BD 1080p].mkv',
+        { title: 'Mob Psycho 100', episode: null, resolution: '1080p' }],
+    ['Kaiju No. 8.mkv',
+        { title: 'Kaiju No. 8', episode: null }],
+
+    // Films and titles without an episode
+    ['Kimi no Na wa (2016) [BD 1080p].mkv',
+        { title: 'Kimi no Na wa (2016)', episode: null, resolution: '1080p' }],
+    ['Blade Runner 2049.mkv',
+        { title: 'Blade Runner 2049', episode: null }],
+    ['[Group] Suzume no Tojimari [BDRip 1080p HEVC FLAC].mkv',
+        { title: 'Suzume no Tojimari', group: 'Group', episode: null, source: 'BDRip', audioCodec: 'FLAC' }],
+    ['Akira.1988.1080p.BluRay.x264.mkv',
+        { title: 'Akira 1988', episode: null, resolution: '1080p' }],
+
+    // Odd inputs
+    ['', { title: null, episode: null }],
+    ['episode.mkv', { title: 'episode', extension: 'mkv' }],
+    ['[Group] Title - 03 [Hi10P][720p].mkv', { title: 'Title', episode: 3, bitDepth: '10-bit' }],
+    ['[1080p] Title - 03.mkv', { title: 'Title', group: null, episode: 3, resolution: '1080p' }]
+];
+
+const parser = new ReleaseNameParser();
+const failures = [];
+
+FIXTURES.forEach(([filename, expected]) => {
+    const parsed = parser.parse(filename);
+    try {
+        assert.deepStrictEqual(
+            Object.fromEntries(Object.keys(expected).map(field => [field, parsed[field]])),
+            expected
+        );
+    } catch (error) {
+        failures.push(`${JSON.stringify(filename)}\n${error.message}`);
+    }
+});
+
+if (failures.length > 0) {
+    console.error(failures.join('\n\n'));
+    console.error(`\n${failures.length} of ${FIXTURES.length} release names parsed incorrectly`);
+    process.exit(1);
+}
+
+console.log(`All ${FIXTURES.length} release names parsed as expected`);